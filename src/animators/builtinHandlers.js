@@ -0,0 +1,45 @@
+import { registerChoreographyHandler } from "./choreographyRegistry.js";
+import {
+  toggleViewpoint,
+  toggleCamera,
+  toggleTimeSlider,
+  toggleLayerVisibility,
+  toggleLayerOpacity,
+  toggleLayerEffect,
+  toggleTrackRenderer,
+  toggleRouteReveal,
+  toggleFollowTrack,
+  toggleLayerFilter,
+  toggleFeatureHighlight,
+} from "./slideAnimator.js";
+import {
+  interpolateViewpoint,
+  interpolateCamera,
+  interpolateTimeSlider,
+  interpolateLayerOpacity,
+  interpolateLayerEffect,
+  interpolateKeyframes,
+  interpolateRouteReveal,
+} from "./scrollAnimator.js";
+
+/**
+ * The toolkit's own choreography keys. Viewpoint, camera and route drawing are left to
+ * scrolling when the map is embedded in a story, so their slide handlers are skipped there.
+ * Their values are validated by choreographySchema rather than by a validate function.
+ */
+const builtinHandlers = {
+  viewpoint: { onSlide: toggleViewpoint, onScroll: interpolateViewpoint, skipWhenEmbedded: true },
+  camera: { onSlide: toggleCamera, onScroll: interpolateCamera, skipWhenEmbedded: true },
+  timeSlider: { onSlide: toggleTimeSlider, onScroll: interpolateTimeSlider },
+  layerVisibility: { onSlide: toggleLayerVisibility },
+  layerOpacity: { onSlide: toggleLayerOpacity, onScroll: interpolateLayerOpacity },
+  layerEffect: { onSlide: toggleLayerEffect, onScroll: interpolateLayerEffect },
+  trackRenderer: { onSlide: toggleTrackRenderer },
+  keyframes: { onScroll: interpolateKeyframes },
+  routeReveal: { onSlide: toggleRouteReveal, onScroll: interpolateRouteReveal, skipWhenEmbedded: true },
+  followTrack: { onSlide: toggleFollowTrack },
+  layerFilter: { onSlide: toggleLayerFilter },
+  featureHighlight: { onSlide: toggleFeatureHighlight },
+};
+
+Object.entries(builtinHandlers).forEach(([key, handler]) => registerChoreographyHandler(key, handler));
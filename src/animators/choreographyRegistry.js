@@ -0,0 +1,82 @@
+// Registry of choreography handlers and lifecycle hooks shared by the slide and scroll animators.
+// Each choreography key (e.g. "viewpoint") maps to a handler definition:
+//   onSlide({ slideData, mapView, timeSlider, embedded })                    applies the key when a slide is entered
+//   onScroll({ slideCurrent, slideNext, progress, mapView, timeSlider })    animates the key while scrolling through a slide
+//   skipWhenEmbedded                                                         skips onSlide when the map is embedded in a story
+//   validate(value, { slide, index, choreography })                         returns an error message, a list of them, or nothing
+// Custom modules can register their own keys, or replace built-in ones, without editing the animators:
+//   registerChoreographyHandler("confetti", { onSlide: ({ slideData }) => launch(slideData.confetti) });
+//   addChoreographyHook("afterSlide", ({ index }) => analytics.track("slide", index));
+
+const choreographyHandlers = new Map();
+
+/**
+ * Lifecycle hooks, run by the map animator:
+ * beforeSlide and afterSlide around every slide change, with { index, slide, mapView, timeSlider, embedded }
+ * (afterSlide also receives the applied state changes as diff), and onProgress after every scroll
+ * update, with { index, progress, slideCurrent, slideNext, mapView, timeSlider }.
+ */
+const choreographyHooks = {
+  beforeSlide: new Set(),
+  afterSlide: new Set(),
+  onProgress: new Set(),
+};
+
+/**
+ * Registers the handler for a choreography key, replacing any handler already registered for it.
+ * Returns a function that unregisters the handler.
+ */
+export function registerChoreographyHandler(key, { onSlide, onScroll, skipWhenEmbedded = false, validate } = {}) {
+  if (typeof key !== "string" || key.length === 0) {
+    throw new TypeError("A choreography handler needs a non-empty key.");
+  }
+  if (typeof onSlide !== "function" && typeof onScroll !== "function") {
+    throw new TypeError(`The handler for '${key}' needs an onSlide or onScroll function.`);
+  }
+
+  const handler = { onSlide, onScroll, skipWhenEmbedded, validate };
+  choreographyHandlers.set(key, handler);
+  return () => {
+    if (choreographyHandlers.get(key) === handler) choreographyHandlers.delete(key);
+  };
+}
+
+/**
+ * Returns the handler registered for a choreography key, or undefined.
+ */
+export function getChoreographyHandler(key) {
+  return choreographyHandlers.get(key);
+}
+
+/**
+ * Returns the [key, handler] pairs of every registered handler.
+ */
+export function getChoreographyHandlers() {
+  return Array.from(choreographyHandlers.entries());
+}
+
+/**
+ * Adds a callback to a lifecycle hook. Returns a function that removes it.
+ */
+export function addChoreographyHook(name, callback) {
+  const hook = choreographyHooks[name];
+  if (!hook) {
+    throw new TypeError(`Unknown choreography hook '${name}'. Expected one of: ${Object.keys(choreographyHooks).join(", ")}.`);
+  }
+  hook.add(callback);
+  return () => hook.delete(callback);
+}
+
+/**
+ * Runs every callback of a lifecycle hook with the given context,
+ * logging (rather than propagating) any errors they throw.
+ */
+export function runChoreographyHook(name, context) {
+  choreographyHooks[name]?.forEach((callback) => {
+    try {
+      callback(context);
+    } catch (error) {
+      console.error(`Error in '${name}' hook:`, error);
+    }
+  });
+}
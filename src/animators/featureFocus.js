@@ -0,0 +1,197 @@
+import { findLayer, onLayerReplaced } from "../utils/layerLookup.js";
+import { toEffectString } from "../utils/layerEffects.js";
+
+// Narrows and singles out features for the length of a slide. layerFilter sets a layer's
+// definitionExpression (applied by the server) or the client-side filter and feature effect
+// of its layer view; featureHighlight highlights the features an attribute query selects,
+// optionally opening a popup on the first. Entering a slide without them restores every
+// filtered layer to the web map's own settings and removes the highlight and popup.
+
+/**
+ * Per view: each filtered layer's original definitionExpression and featureEffect, the
+ * filter last applied to it (as JSON), the highlight definitions shown and their live
+ * handles, whether the popup was opened here, and a counter so a late highlight query
+ * can tell it is stale.
+ */
+const focusStates = new WeakMap();
+
+function getFocusState(mapView) {
+  if (!focusStates.has(mapView)) {
+    focusStates.set(mapView, {
+      originals: new Map(),
+      applied: new Map(),
+      highlightDefinitions: [],
+      highlights: [],
+      popupOpened: false,
+      highlightRequest: 0,
+    });
+  }
+  return focusStates.get(mapView);
+}
+
+// Converts a choreography feature effect to the layer's featureEffect, accepting effect
+// strengths (as in layerEffect) or effect strings for the included and excluded features.
+function toFeatureEffect({ filter, includedEffect, excludedEffect, excludedLabelsVisible }) {
+  const effectOf = (effect) => (typeof effect === "string" ? effect : toEffectString(effect));
+  return {
+    filter,
+    ...(includedEffect !== undefined && { includedEffect: effectOf(includedEffect) }),
+    ...(excludedEffect !== undefined && { excludedEffect: effectOf(excludedEffect) }),
+    ...(excludedLabelsVisible !== undefined && { excludedLabelsVisible }),
+  };
+}
+
+// Sets a layer's definitionExpression, feature effect and layer view filter, each falling
+// back to the layer's original where the filter does not set it. The layer view filter is
+// set once the view has created the layer view.
+async function setLayerFilter(mapView, layer, filter, original) {
+  layer.definitionExpression = filter.definitionExpression ?? original.definitionExpression;
+  layer.featureEffect = filter.featureEffect ? toFeatureEffect(filter.featureEffect) : original.featureEffect;
+  const layerView = await mapView.whenLayerView(layer);
+  layerView.filter = filter.featureFilter ?? null;
+}
+
+/**
+ * Applies the filters keyed by layer id or title ({ definitionExpression, featureFilter,
+ * featureEffect }), skipping layers whose filter is unchanged, and restores the layers
+ * filtered before that are not listed any more.
+ */
+export function applyLayerFilters(mapView, filters = {}) {
+  if (!mapView) return;
+  const state = getFocusState(mapView);
+
+  const targets = new Map();
+  Object.entries(filters).forEach(([reference, filter]) => {
+    const layer = findLayer(mapView, reference);
+    if (layer) {
+      targets.set(layer, filter);
+    } else {
+      console.warn(`layerFilter: no layer with the id or title "${reference}".`);
+    }
+  });
+
+  [...state.applied.keys()]
+    .filter((layer) => !targets.has(layer))
+    .forEach((layer) => {
+      state.applied.delete(layer);
+      setLayerFilter(mapView, layer, {}, state.originals.get(layer))
+        .catch((error) => console.error(`Failed to restore the filter of layer "${layer.title}":`, error));
+    });
+
+  targets.forEach((filter, layer) => {
+    const json = JSON.stringify(filter);
+    if (state.applied.get(layer) === json) return;
+    if (!state.originals.has(layer)) {
+      state.originals.set(layer, { definitionExpression: layer.definitionExpression ?? null, featureEffect: layer.featureEffect ?? null });
+    }
+    state.applied.set(layer, json);
+    setLayerFilter(mapView, layer, filter, state.originals.get(layer))
+      .catch((error) => console.error(`Failed to filter layer "${layer.title}":`, error));
+  });
+}
+
+/**
+ * Restores every layer filtered through layerFilter to its original settings.
+ */
+export function clearLayerFilters(mapView) {
+  if (!mapView || !focusStates.has(mapView)) return;
+  applyLayerFilters(mapView, {});
+}
+
+// Removes the current highlights, and closes the popup if it was opened here.
+function removeHighlights(mapView, state) {
+  state.highlights.forEach((handle) => handle.remove());
+  state.highlights = [];
+  if (state.popupOpened) {
+    state.popupOpened = false;
+    mapView.closePopup?.();
+  }
+}
+
+// Returns where to anchor a feature's popup: a point itself, or the center of the geometry's extent.
+const popupLocation = (geometry) => (geometry?.type === "point" ? geometry : geometry?.extent?.center ?? undefined);
+
+// Queries the features a highlight definition selects, with their layer view. Resolves to null on failure.
+async function queryHighlight(mapView, definition) {
+  try {
+    const layer = findLayer(mapView, definition.layerTitle);
+    if (!layer?.queryFeatures) {
+      throw new Error(`No queryable layer with the id or title "${definition.layerTitle}".`);
+    }
+    const [layerView, { features }] = await Promise.all([
+      mapView.whenLayerView(layer),
+      layer.queryFeatures({
+        where: definition.where ?? "1=1",
+        outFields: ["*"],
+        returnGeometry: true,
+        outSpatialReference: mapView.spatialReference,
+      }),
+    ]);
+    return { definition, layerView, features };
+  } catch (error) {
+    console.error("Failed to highlight features:", error);
+    return null;
+  }
+}
+
+/**
+ * Highlights the features selected by each definition ({ layerTitle, where, popup }),
+ * replacing any previous highlight. The first definition with popup that selects a
+ * feature opens a popup on its first feature.
+ */
+export async function highlightFeatures(mapView, definitions) {
+  if (!mapView) return;
+  const state = getFocusState(mapView);
+  const request = ++state.highlightRequest;
+  removeHighlights(mapView, state);
+  state.highlightDefinitions = definitions;
+
+  const results = (await Promise.all(definitions.map((definition) => queryHighlight(mapView, definition)))).filter(Boolean);
+  if (request !== state.highlightRequest) return;
+
+  results
+    .filter(({ features }) => features.length > 0)
+    .forEach(({ layerView, features }) => state.highlights.push(layerView.highlight(features)));
+
+  const popupResult = results.find(({ definition, features }) => definition.popup && features.length > 0);
+  if (popupResult && mapView.openPopup) {
+    const [feature] = popupResult.features;
+    mapView.openPopup({ features: [feature], location: popupLocation(feature.geometry) });
+    state.popupOpened = true;
+  }
+}
+
+/**
+ * Removes the highlight and popup left by featureHighlight, including one still being queried.
+ */
+export function clearFeatureHighlights(mapView) {
+  if (!mapView || !focusStates.has(mapView)) return;
+  const state = focusStates.get(mapView);
+  state.highlightRequest++;
+  state.highlightDefinitions = [];
+  removeHighlights(mapView, state);
+}
+
+// A layer swapped for a clone (a track layer's hard reset) keeps its filter and highlight:
+// the clone takes over the original settings to restore, the filter is applied to its layer
+// view, and the highlights are queried again.
+onLayerReplaced((mapView, layer, replacement) => {
+  const state = focusStates.get(mapView);
+  if (!state) return;
+
+  if (state.originals.has(layer)) {
+    state.originals.set(replacement, state.originals.get(layer));
+    state.originals.delete(layer);
+  }
+  if (state.applied.has(layer)) {
+    const json = state.applied.get(layer);
+    state.applied.set(replacement, json);
+    state.applied.delete(layer);
+    setLayerFilter(mapView, replacement, JSON.parse(json), state.originals.get(replacement))
+      .catch((error) => console.error(`Failed to filter layer "${replacement.title}":`, error));
+  }
+
+  if (state.highlightDefinitions.some((definition) => findLayer(mapView, definition.layerTitle) === replacement)) {
+    highlightFeatures(mapView, state.highlightDefinitions);
+  }
+});
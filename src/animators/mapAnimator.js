@@ -1,17 +1,42 @@
 // Imports
 import { animationConfig } from "../../src/config/animationConfig.js";
-import { scrollAnimation } from "../../src/animators/scrollAnimator.js";
-import { slideAnimation } from "../../src/animators/slideAnimator.js";
+import { resolveAnimationConfig, applyChoreographySettings } from "../../src/config/runtimeConfig.js";
+import { createMapController } from "../../src/animators/mapController.js";
+import "../../src/animators/builtinHandlers.js";
+import { validateChoreography, crossCheckChoreography, logValidationReport } from "../../src/validation/choreographyValidator.js";
+import { showValidationOverlay } from "../../src/ui/validationOverlay.js";
+import { showAuthoringPanel } from "../../src/ui/authoringPanel.js";
+import { showPlaybackControls } from "../../src/ui/playbackControls.js";
+import { isReducedMotion } from "../../src/utils/motionPolicy.js";
+import { TIME_SLIDER_MODES, timeExtentAt } from "../../src/utils/calendarTime.js";
+import { createPlaybackTimeline, parsePositionHash, formatPositionHash } from "../../src/utils/playbackTimeline.js";
+import { parseMessage } from "../../src/protocol/messageProtocol.js";
+import { findLayer } from "../../src/utils/layerLookup.js";
 
 let mapView = null;
-let isEmbedded = false; // Flag to indicate if the map is viewed in an embedded context
+let isAuthoring = false; // True while the authoring panel is expanded, which unlocks map navigation
 
-// Define the map components
-const mapElement = document.querySelector("arcgis-map");
-mapElement.setAttribute("item-id", animationConfig.mapId);
-mapElement.setAttribute("zoom", animationConfig.mapZoom);
-mapElement.setAttribute("center", animationConfig.mapCenter);
-const timeSlider = document.querySelector("arcgis-time-slider");
+/**
+ * Returns the view component for the configured view type. When a 3D scene is
+ * requested, the page's arcgis-map is swapped for an arcgis-scene that keeps its
+ * child components, and the time slider is pointed at the new element.
+ */
+function resolveViewElement(viewType) {
+  const existing = document.querySelector("arcgis-map, arcgis-scene");
+  const tagName = viewType === "scene" ? "arcgis-scene" : "arcgis-map";
+  if (!existing || existing.localName === tagName) return existing;
+
+  const replacement = document.createElement(tagName);
+  replacement.append(...existing.childNodes);
+  existing.replaceWith(replacement);
+  document
+    .querySelectorAll(`[reference-element="${existing.localName}"]`)
+    .forEach((element) => element.setAttribute("reference-element", tagName));
+  return replacement;
+}
+
+// Resolve the runtime configuration before anything reads it
+await resolveAnimationConfig();
 
 // Set DEBUG to true to enable debug logging
 const DEBUG = animationConfig.debugMode;
@@ -24,77 +49,241 @@ function log(...args) {
 /**
  * Load choreography data from the specified JSON file path,
  * parses it, and stores the result in choreographyData.
+ * The file is either the array of slides, or an object carrying the slides alongside
+ * the map they were authored against ({ mapId, center, zoom, viewType, slides }).
  */
 let choreographyData = [];
 async function loadChoreography(path) {
   try {
     const response = await fetch(path);
-    choreographyData = await response.json();
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    if (data && !Array.isArray(data) && typeof data === "object") {
+      applyChoreographySettings(data);
+      choreographyData = data.slides ?? [];
+    } else {
+      choreographyData = data;
+    }
     log("Loaded data");
   } catch (error) {
     console.error("Failed to load choreography:", error);
   }
 }
 
+// Inside a frame, the first "hello" is awaited for up to HELLO_WAIT ms, as it may name the choreography to load
+const HELLO_WAIT = 1000;
+let choreographyId = null; // id of the choreography loaded at the story's request, if any
+let firstHello = null; // message event of the hello awaited here, answered once the map is ready
+
+// Resolves to the message event of the first valid "hello", or null after timeout ms.
+function waitForHello(timeout) {
+  return new Promise((resolve) => {
+    const finish = (hello) => {
+      clearTimeout(timer);
+      window.removeEventListener("message", onMessage);
+      resolve(hello);
+    };
+    const onMessage = (event) => {
+      const message = parseMessage(event, { allowedOrigins: animationConfig.allowedOrigins });
+      if (message?.type === "hello") finish(event);
+    };
+    const timer = setTimeout(() => finish(null), timeout);
+    window.addEventListener("message", onMessage);
+  });
+}
+
 /**
- * Listen for postMessage events from the "storymap-controller" to coordinate map animations.
- * Determines whether the map is embedded and sets up hash animation if not.
- * Triggers scroll-based animations based on slide progress and static slide updates
- * when the slide index changes.
+ * Resolves the path of the choreography to load. A story with several sidecars names each
+ * map's choreography in its "hello", and the id is looked up in animationConfig.choreographies.
+ * Outside a frame, without a named choreography, or for an unknown id, choreographyPath is used.
  */
-let lastSlideIndex = null;
+async function resolveChoreographyPath() {
+  if (window.parent === window) return animationConfig.choreographyPath;
+  firstHello = await waitForHello(HELLO_WAIT);
+  const id = firstHello?.data.payload.choreography;
+  if (id === undefined) return animationConfig.choreographyPath;
+
+  const path = animationConfig.choreographies?.[id];
+  if (!path) {
+    console.error(`No choreography "${id}" in choreographies; loading ${animationConfig.choreographyPath} instead.`);
+    return animationConfig.choreographyPath;
+  }
+  log("Loading choreography", id, "requested by the story");
+  choreographyId = id;
+  return path;
+}
+
+// The choreography is loaded before the map, as it may name the map to load
+await loadChoreography(await resolveChoreographyPath());
+
+// Define the map components
+const mapElement = resolveViewElement(animationConfig.viewType);
+mapElement.setAttribute("item-id", animationConfig.mapId);
+mapElement.setAttribute("zoom", animationConfig.mapZoom);
+mapElement.setAttribute("center", animationConfig.mapCenter);
+const timeSlider = document.querySelector("arcgis-time-slider");
+
+/**
+ * Validate the loaded choreography against the schema, then cross-check
+ * referenced layers and fields against the loaded web map.
+ * Logs every issue and shows the report as an overlay in debug mode.
+ */
+async function validateLoadedChoreography() {
+  const report = validateChoreography(choreographyData);
+  try {
+    await crossCheckChoreography(choreographyData, mapView, report);
+  } catch (error) {
+    console.error("Failed to cross-check choreography against the map:", error);
+  }
+  logValidationReport(report);
+  if (DEBUG) {
+    showValidationOverlay(report);
+  }
+  return report;
+}
+
+/**
+ * Listen for protocol messages from the story's scroll listener to coordinate map animations,
+ * through the map controller, which also answers the first "hello", awaited before the
+ * choreography was loaded.
+ */
+let controller = null;
 
 function setupMessageListener() {
-  window.addEventListener("message", (event) => {
-    if (event.data.source !== "storymap-controller") return;
+  controller = createMapController({ mapView, timeSlider, choreographyData, choreographyId });
+  if (firstHello) {
+    controller.handleMessage(firstHello);
+    firstHello = null;
+  }
+  window.addEventListener("message", controller.handleMessage);
+}
 
-    const payload = event.data.payload;
+/**
+ * Asks for slide navigation: the story scrolls to the slide's narrative panel when
+ * embedded, playback seeks to the slide's start when presenting, otherwise the map
+ * moves there itself through the URL hash.
+ */
+function requestSlide(slide) {
+  if (!choreographyData[slide]) return;
+  if (controller.connected) {
+    controller.sendToStory("requestSlide", { slide });
+  } else if (playbackControls) {
+    playbackControls.seek(slide);
+  } else {
+    window.location.hash = `#${slide}`;
+  }
+}
 
-    if (payload.isEmbedded) {
-      // log("This story is being viewed via script embed - deferring to scroll animation.");
-      isEmbedded = true;
-    } else {
-      // log("Map is not embedded — enabling hash-based navigation.");
-      isEmbedded = false;
-    }
+/**
+ * Returns the featureNavigation in effect on a slide: the slide's own,
+ * or the most recent one defined on an earlier slide.
+ */
+function getFeatureNavigation(slideIndex) {
+  return choreographyData
+    .slice(0, slideIndex + 1)
+    .reduce((navigation, slide) => slide.featureNavigation ?? navigation, null);
+}
 
-    const currentSlide = choreographyData[payload.slide];
-    const nextSlide = choreographyData[payload.slide + 1];
+/**
+ * Listen for clicks on the map. A click on a feature of the layer named by the current
+ * slide's featureNavigation is reported to the story as "featureClick"; when the clicked
+ * feature's attribute value maps to a target slide, that slide is requested too.
+ */
+function setupFeatureNavigation() {
+  // Ensure the fields used for navigation are available on the client for hit tests
+  choreographyData
+    .map((slide) => slide.featureNavigation)
+    .filter(Boolean)
+    .forEach(({ layerTitle, field }) => {
+      const layer = findLayer(mapView, layerTitle);
+      if (layer && Array.isArray(layer.outFields) && !layer.outFields.includes("*")) {
+        layer.outFields = [...new Set([...layer.outFields, field])];
+      }
+    });
+
+  mapView.on("click", async (event) => {
+    const navigation = getFeatureNavigation(controller.slideIndex ?? 0);
+    if (!navigation) return;
+
+    const layer = findLayer(mapView, navigation.layerTitle);
+    if (!layer) return;
+
+    try {
+      const response = await mapView.hitTest(event, { include: [layer] });
+      const graphic = response.results.find((result) => result.graphic)?.graphic;
+      if (!graphic) return;
 
-    // Scroll-based animation
-    scrollAnimation(currentSlide, nextSlide, payload.progress, mapView, timeSlider);
+      const value = graphic.attributes?.[navigation.field];
+      const slide = navigation.targets?.[value];
+      log("Feature clicked:", navigation.layerTitle, navigation.field, value, "-> slide", slide);
+      controller.sendToStory("featureClick", {
+        layerTitle: navigation.layerTitle,
+        attributes: { ...graphic.attributes },
+        ...(slide !== undefined && { slide }),
+      });
+      if (slide !== undefined && !controller.connected) {
+        requestSlide(slide);
+      }
+    } catch (error) {
+      console.error("Failed to resolve clicked feature:", error);
+    }
+  });
+}
 
-    // Slide change detection
-    if (payload.slide !== lastSlideIndex) {
-      lastSlideIndex = payload.slide;
-      slideAnimation(currentSlide, mapView, timeSlider, isEmbedded); // using isEmbedded to mute some property changes when viewed in embed
+/**
+ * Wire the map page's reset button: resets the map to the first slide and
+ * tells the story, which scrolls back to the first narrative panel.
+ */
+function setupResetButton() {
+  const resetButton = document.getElementById("reset-button");
+  if (!resetButton) return;
+  resetButton.addEventListener("click", () => {
+    // Standalone playback rewinds to the start instead
+    if (playbackControls) {
+      playbackControls.pause();
+      playbackControls.seek(0);
+      return;
+    }
+    controller.resetMap();
+    if (controller.connected) {
+      controller.sendToStory("reset", {});
+    } else if (window.location.hash) {
+      history.replaceState(null, "", window.location.pathname + window.location.search);
     }
   });
 }
 
 /**
- * Listen for changes in the URL hash and triggers slide animation
- * based on the corresponding index in choreographyData.
+ * Listen for changes in the URL hash and reconcile the map with the cumulative
+ * state of the corresponding index in choreographyData. With playback controls shown,
+ * a "#slide" or "#slide:progress" hash seeks playback to that position instead.
  */
 function setupHashListener() {
   window.addEventListener("hashchange", function () {
     log("Hash changed to: " + window.location.hash);
-    const hashIndex = parseInt(window.location.hash.substring(1), 10);
+    const position = parsePositionHash(window.location.hash);
+    const hashIndex = position ? position.slide : NaN;
 
     if (isNaN(hashIndex) || !choreographyData[hashIndex]) {
       log("No valid hash index found.");
       return;
     }
 
-    const currentSlide = choreographyData[hashIndex];
-    slideAnimation(currentSlide, mapView, timeSlider, isEmbedded);
+    if (playbackControls) {
+      playbackControls.seek(hashIndex, position.progress ?? 0);
+      return;
+    }
+
+    controller.goToSlide(hashIndex);
   });
 }
 
 /**
  * Initialize the timeSlider using configuration from the first slide in choreographyData.
- * Sets the full time extent, interval stops, and starting frame.
- * Automatically starts playback if the slider is ready and not in embedded mode.
+ * Sets the time mode and zone, full time extent, interval stops, and starting frame.
+ * Automatically starts playback if the slider is ready, not in embedded mode and motion is not reduced.
  */
 function configureTimeSlider() {
   const slideData = choreographyData[0];
@@ -108,8 +297,12 @@ function configureTimeSlider() {
 
     // Configure time extent
     log("Configuring time slider:", { start: startFrame, end: endFrame, timeUnit: timeUnit, timeStep: timeStep});
+    timeSlider.mode = TIME_SLIDER_MODES[slideData.timeSlider.timeSliderMode ?? "cumulative"];
+    if (slideData.timeSlider.timeSliderTimeZone) {
+      timeSlider.timeZone = slideData.timeSlider.timeSliderTimeZone;
+    }
     timeSlider.fullTimeExtent = { start: startFrame, end: endFrame };
-    timeSlider.timeExtent = { start: null, end: startFrame };
+    timeSlider.timeExtent = timeExtentAt(startFrame, slideData.timeSlider);
 
     // Set the time slider interval based on choreography
     timeSlider.stops = {
@@ -120,7 +313,7 @@ function configureTimeSlider() {
     };
 
     // Start the time slider if not already playing and if outside script embed story
-    if (timeSlider.state === "ready" && !isEmbedded) {
+    if (timeSlider.state === "ready" && !controller.embedded && !isReducedMotion()) {
       timeSlider.play();
     }
   } else if (!timeSlider) {
@@ -131,31 +324,80 @@ function configureTimeSlider() {
 }
 
 /**
- * Initialize the map animation system by loading choreography data,
+ * Shows the authoring panel when the page is opened with ?author, so published stories never show it.
+ * Map navigation is unlocked while the panel is expanded, so the author can frame each slide.
+ */
+function setupAuthoring() {
+  if (!new URLSearchParams(window.location.search).has("author")) return;
+  showAuthoringPanel({
+    mapView,
+    timeSlider,
+    choreographyData,
+    onToggle: (expanded) => (isAuthoring = expanded),
+  });
+}
+
+/**
+ * Shows the playback controls when the map page is opened on its own rather than inside
+ * a story. Playback synthesises progress through the whole choreography, with each slide
+ * lasting its duration (or playbackSlideDuration) in seconds, and queues it for the render
+ * loop exactly like the story's progress messages. The URL hash follows as a shareable
+ * "#slide:progress" deep link, and a deep link the page is opened with is seeked to on load.
+ */
+let playbackControls = null;
+let lastHashUpdate = 0;
+
+function setupPlayback() {
+  if (window.parent !== window || choreographyData.length === 0) return;
+
+  playbackControls = showPlaybackControls({
+    timeline: createPlaybackTimeline(choreographyData, animationConfig.playbackSlideDuration),
+    onPosition: (position, { playing, seeking }) => {
+      controller.queuePosition(position, { seeking });
+
+      // Browsers limit history updates, so the hash follows playback at most once a second
+      const now = Date.now();
+      if (playing && now - lastHashUpdate < 1000) return;
+      lastHashUpdate = now;
+      history.replaceState(null, "", formatPositionHash(position));
+    },
+  });
+
+  const start = parsePositionHash(window.location.hash);
+  if (start && choreographyData[start.slide]) {
+    playbackControls.seek(start.slide, start.progress ?? 0);
+  }
+}
+
+/**
+ * Initialize the map animation system by validating the loaded choreography data,
  * setting up message listeners, and configuring the time slider.
  */
-async function initMapAnimator(choreographyPath) {
-  await loadChoreography(choreographyPath);
+async function initMapAnimator() {
+  await validateLoadedChoreography();
   setupMessageListener();
   setupHashListener()
+  setupFeatureNavigation();
+  setupResetButton();
   configureTimeSlider();
+  setupAuthoring();
+  setupPlayback();
 }
 
 /**
- * Wait for the ArcGIS map view to become ready, then initializes the map animator
- * using the choreography configuration path.
+ * Wait for the ArcGIS map view to become ready, then initializes the map animator.
  */
 mapElement.addEventListener("arcgisViewReadyChange", async (event) => {
   if (!event.target.ready) return;
   mapView = mapElement.view;
-  // Disable map navigation
+  // Disable map navigation, except while authoring
   if (animationConfig.disableMapNav) {
     mapView.on("mouse-wheel", (event) => {
-      event.stopPropagation();
+      if (!isAuthoring) event.stopPropagation();
     });
     mapView.on("drag", (event) => {
-      event.stopPropagation();
+      if (!isAuthoring) event.stopPropagation();
     });
   }
-  initMapAnimator(animationConfig.choreographyPath);
+  initMapAnimator();
 });
@@ -0,0 +1,236 @@
+import { animationConfig } from "../config/animationConfig.js";
+import { scrollAnimation, stepScrollAnimation, resetScrollAnimation } from "./scrollAnimator.js";
+import { cutToSlideView, reconcileSlideState } from "./stateReconciler.js";
+import { runChoreographyHook } from "./choreographyRegistry.js";
+import { endLayerWarmups, prefetchUpcomingSlides, slideLayersReady, whenSlideLayersReady } from "./slidePrefetcher.js";
+import { announceSlide } from "../ui/slideAnnouncer.js";
+import { setLoadingIndicator } from "../ui/loadingIndicator.js";
+import { createFrameLoop } from "../utils/frameLoop.js";
+import { isReducedMotion } from "../utils/motionPolicy.js";
+import { log } from "../utils/debugLog.js";
+import { parseMessage, postMessageTo } from "../protocol/messageProtocol.js";
+
+// Drives a map view through a choreography from the story's messages: the hello/ready
+// handshake, progress and slide changes applied once per animation frame, prefetching and
+// holding slides whose layers are still drawing, and resets. Shared by mapAnimator.js on
+// the map page and the choreography simulator, so both run the same path.
+
+/**
+ * Creates the controller of a map view playing the given choreography slides.
+ * choreographyId is the id of the choreography loaded at the story's request, if any.
+ *
+ * Returns:
+ * - handleMessage(event): handles a protocol message event from the story. A "hello" marks
+ *   the map as embedded and is answered with "ready"; "progress" and "slideChange" are
+ *   queued for the render loop, which applies only the latest one per animation frame so
+ *   bursts of scroll events never stack up map updates; "reset" returns the map to the first slide.
+ * - queuePosition({ slide, progress }, { seeking }): queues a position for the render loop as
+ *   standalone playback does, after which the map behaves as in the embed.
+ * - goToSlide(index): moves the map straight to a slide, as a URL hash does.
+ * - resetMap(): returns the map to the first slide's state.
+ * - sendToStory(type, payload): sends a protocol message to the story that said "hello", if any.
+ * - embedded, connected (embedded with a story to talk to), slideIndex and progress: the last
+ *   slide and progress applied.
+ */
+export function createMapController({ mapView, timeSlider, choreographyData, choreographyId = null }) {
+  let isEmbedded = false; // Flag to indicate if the map is viewed in an embedded context
+  let isPresenting = false; // True once standalone playback drives the map, which then behaves as in the embed
+  let storyConnection = null; // { window, origin } of the story that said "hello"
+  let lastSlideIndex = null;
+  let lastProgress = null;
+  let pendingPayload = null;
+  let pendingSeek = false; // set when the queued position was sought rather than played to
+  let slideRequest = 0; // counts slide changes, so late layer draws and holds can tell they are stale
+  const renderLoop = createFrameLoop(renderFrame);
+
+  // Registers the story that said "hello" and answers it with "ready".
+  function acceptHello(payload, source, origin) {
+    // The story is being viewed via script embed - defer to scroll animation
+    if (payload.choreography !== undefined && payload.choreography !== choreographyId) {
+      console.warn(`The story asked for choreography "${payload.choreography}" after "${choreographyId ?? animationConfig.choreographyPath}" was loaded.`);
+    }
+    isEmbedded = payload.embedded;
+    storyConnection = { window: source, origin };
+    postMessageTo(source, "ready", { slideCount: choreographyData.length }, origin);
+  }
+
+  // Messages from origins outside animationConfig.allowedOrigins, from other protocol
+  // versions, or with malformed payloads are rejected.
+  function handleMessage(event) {
+    const message = parseMessage(event, {
+      allowedOrigins: animationConfig.allowedOrigins,
+      onReject: (reason, data) => log("Rejected message:", reason, data),
+    });
+    if (!message) return;
+
+    const { type, payload } = message;
+    switch (type) {
+      case "hello":
+        acceptHello(payload, event.source, event.origin);
+        break;
+      case "progress":
+      case "slideChange":
+        if (!choreographyData[payload.slide]) return;
+        pendingPayload = { slide: payload.slide, progress: type === "progress" ? payload.progress : null };
+        renderLoop.request();
+        break;
+      case "reset":
+        resetMap();
+        break;
+    }
+  }
+
+  // Returns the map to the first slide's state, dropping any queued scroll update.
+  function resetMap() {
+    pendingPayload = null;
+    pendingSeek = false;
+    lastSlideIndex = 0;
+    lastProgress = null;
+    resetScrollAnimation(mapView);
+    changeSlide(0);
+  }
+
+  /**
+   * Moves the map to a slide and prefetches the slides after it. When layers the slide turns
+   * on are still drawing, the loading indicator is shown until they are (with
+   * loadingIndicator), and the slide is held for at most loadingHold ms before it is applied.
+   */
+  function changeSlide(index) {
+    const request = ++slideRequest;
+    prefetchUpcomingSlides(mapView, choreographyData, index);
+    setLoadingIndicator(false);
+
+    const slide = choreographyData[index];
+    if (!mapView || slideLayersReady(mapView, slide)) {
+      applySlide(index);
+      return;
+    }
+
+    setLoadingIndicator(animationConfig.loadingIndicator);
+    const ready = whenSlideLayersReady(mapView, slide).then(() => {
+      if (request === slideRequest) setLoadingIndicator(false);
+    });
+
+    const hold = animationConfig.loadingHold ?? 0;
+    if (hold <= 0) {
+      applySlide(index);
+      return;
+    }
+    Promise.race([ready, new Promise((resolve) => setTimeout(resolve, hold))]).then(() => {
+      if (request === slideRequest) applySlide(index);
+    });
+  }
+
+  /**
+   * Reconciles the map with the cumulative state of a slide,
+   * running the beforeSlide and afterSlide hooks around it, and announces the slide
+   * to screen readers. Layers still being drawn hidden for prefetching are hidden first, so
+   * the slide starts from their own state. Under reduced motion no state is left to scroll
+   * progress, so the slide's full state is applied as a cut. Otherwise the slide's progress
+   * is animated again afterwards, as reconciling resets what it interpolates to the slide's start.
+   */
+  function applySlide(index) {
+    endLayerWarmups(mapView);
+    const embedded = (isEmbedded || isPresenting) && !isReducedMotion();
+    const context = { index, slide: choreographyData[index], mapView, timeSlider, embedded };
+    runChoreographyHook("beforeSlide", context);
+    const diff = reconcileSlideState(choreographyData, index, mapView, timeSlider, embedded); // using embedded to mute some property changes driven by progress instead
+    runChoreographyHook("afterSlide", { ...context, diff });
+    announceSlide(index, choreographyData[index], choreographyData.length);
+    if (index === lastSlideIndex && lastProgress !== null) {
+      animateProgress(index, lastProgress);
+    }
+  }
+
+  // Runs the scroll-based animations and the onProgress hook for a slide's progress.
+  function animateProgress(index, progress) {
+    const currentSlide = choreographyData[index];
+    const nextSlide = choreographyData[index + 1];
+    if (!isReducedMotion()) {
+      scrollAnimation(currentSlide, nextSlide, progress, mapView, timeSlider);
+    }
+    runChoreographyHook("onProgress", {
+      index,
+      progress,
+      slideCurrent: currentSlide,
+      slideNext: nextSlide,
+      mapView,
+      timeSlider,
+    });
+  }
+
+  /**
+   * Applies the latest progress or slide change message, if any, then advances smoothed view state.
+   * When the slide index changes, reconciles the map with the slide's cumulative state
+   * first, then triggers scroll-based animations based on slide progress. A sought position starts
+   * from the slide's own view, which interpolating toward the next slide would not reach
+   * (nor move the view at all on the last slide). Under reduced motion
+   * progress is not interpolated, so the map only changes at slide thresholds. Returns true
+   * while another frame is needed.
+   */
+  function renderFrame() {
+    if (pendingPayload) {
+      const payload = pendingPayload;
+      pendingPayload = null;
+      if (pendingSeek) {
+        pendingSeek = false;
+        cutToSlideView(choreographyData, payload.slide, mapView);
+      }
+
+      // Slide change detection: the slide is applied before its progress, which applySlide
+      // animates once the slide's state is in place (slideChange messages carry no progress)
+      if (payload.slide !== lastSlideIndex) {
+        lastSlideIndex = payload.slide;
+        lastProgress = payload.progress;
+        changeSlide(payload.slide);
+      } else if (payload.progress !== null) {
+        lastProgress = payload.progress;
+        animateProgress(payload.slide, payload.progress);
+      }
+
+      if (payload.progress !== null) {
+        prefetchUpcomingSlides(mapView, choreographyData, payload.slide, payload.progress);
+      }
+    }
+
+    return stepScrollAnimation(mapView);
+  }
+
+  function sendToStory(type, payload) {
+    if (!storyConnection) return;
+    postMessageTo(storyConnection.window, type, payload, storyConnection.origin);
+  }
+
+  return {
+    handleMessage,
+    queuePosition(position, { seeking = false } = {}) {
+      isPresenting = true;
+      if (seeking) {
+        resetScrollAnimation(mapView);
+        pendingSeek = true;
+      }
+      pendingPayload = position;
+      renderLoop.request();
+    },
+    goToSlide(index) {
+      resetScrollAnimation(mapView);
+      lastSlideIndex = index;
+      lastProgress = null;
+      changeSlide(index);
+    },
+    resetMap,
+    sendToStory,
+    get embedded() {
+      return isEmbedded;
+    },
+    get connected() {
+      return isEmbedded && storyConnection !== null;
+    },
+    get slideIndex() {
+      return lastSlideIndex;
+    },
+    get progress() {
+      return lastProgress;
+    },
+  };
+}
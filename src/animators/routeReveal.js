@@ -0,0 +1,136 @@
+import { loadProjection } from "../utils/geodesic.js";
+import { measureRoute, sliceRoute } from "../utils/routeGeometry.js";
+import { findLayer } from "../utils/layerLookup.js";
+const Graphic = await $arcgis.import("@arcgis/core/Graphic.js");
+const GraphicsLayer = await $arcgis.import("@arcgis/core/layers/GraphicsLayer.js");
+
+// Draws routeReveal lines on a graphics layer of their own, leaving the source layer untouched.
+// A route is the polyline features of a layer (optionally narrowed by a where clause),
+// queried once per view in the view's spatial reference and measured by geodesic length.
+
+const DEFAULT_LINE_COLOR = [226, 119, 40];
+const DEFAULT_LINE_WIDTH = 3;
+const DEFAULT_MARKER_SIZE = 10;
+
+/**
+ * Per view: the graphics layer routes are drawn on, and each route's loading
+ * state, measured geometry, requested fraction and graphics, keyed by routeId.
+ */
+const routeStates = new WeakMap();
+
+/**
+ * Identifies a route by its layer and where clause, so slides sharing a route share its graphics.
+ */
+export const routeId = (definition) => `${definition.layerTitle}|${definition.where ?? ""}`;
+
+function getRouteState(mapView) {
+  if (!routeStates.has(mapView)) {
+    const layer = new GraphicsLayer({ title: "Route reveal", listMode: "hide" });
+    mapView.map.add(layer);
+    routeStates.set(mapView, { layer, routes: new Map() });
+  }
+  return routeStates.get(mapView);
+}
+
+// Creates the line and head marker graphics for a route, styled from its definition.
+function createRouteGraphics(layer, definition) {
+  const lineColor = definition.color ?? DEFAULT_LINE_COLOR;
+  const line = new Graphic({
+    symbol: { type: "simple-line", color: lineColor, width: definition.width ?? DEFAULT_LINE_WIDTH, cap: "round", join: "round" },
+    visible: false,
+  });
+  const marker = definition.marker
+    ? new Graphic({
+        symbol: {
+          type: "simple-marker",
+          color: definition.marker.color ?? [255, 255, 255],
+          size: definition.marker.size ?? DEFAULT_MARKER_SIZE,
+          outline: { color: lineColor, width: 2 },
+        },
+        visible: false,
+      })
+    : null;
+  layer.addMany(marker ? [line, marker] : [line]);
+  return { line, marker };
+}
+
+// Queries and measures a route's features, then draws it at the latest requested fraction.
+async function loadRoute(mapView, entry) {
+  const { definition } = entry;
+  try {
+    const sourceLayer = findLayer(mapView, definition.layerTitle);
+    if (!sourceLayer?.queryFeatures) {
+      throw new Error(`No queryable layer titled "${definition.layerTitle}".`);
+    }
+    const { features } = await sourceLayer.queryFeatures({
+      where: definition.where ?? "1=1",
+      returnGeometry: true,
+      outSpatialReference: mapView.spatialReference,
+    });
+    const paths = features.flatMap((feature) => feature.geometry?.paths ?? []);
+    const spatialReference = mapView.spatialReference.toJSON();
+
+    let route = measureRoute(paths, spatialReference);
+    if (!route) {
+      await loadProjection();
+      route = measureRoute(paths, spatialReference);
+    }
+    if (!route || route.length === 0) {
+      throw new Error(`Layer "${definition.layerTitle}" has no line features to draw.`);
+    }
+
+    entry.route = route;
+    entry.spatialReference = spatialReference;
+    entry.status = "ready";
+    renderRoute(entry);
+  } catch (error) {
+    entry.status = "failed";
+    console.error("Failed to load route:", error);
+  }
+}
+
+// Updates a route's line and head marker to its requested fraction, returning the head point.
+function renderRoute(entry) {
+  const { paths, head } = sliceRoute(entry.route, entry.fraction);
+  const spatialReference = entry.spatialReference;
+
+  entry.graphics.line.visible = paths.length > 0;
+  if (paths.length > 0) {
+    entry.graphics.line.geometry = { type: "polyline", paths, spatialReference };
+  }
+  if (entry.graphics.marker) {
+    entry.graphics.marker.visible = head !== null;
+    if (head) entry.graphics.marker.geometry = { type: "point", ...head, spatialReference };
+  }
+  return head && { ...head, spatialReference };
+}
+
+/**
+ * Draws a route up to a fraction (0–1) of its geodesic length; 0 hides it.
+ * Returns the head point JSON, or null while the route is loading or nothing is drawn.
+ * A route requested before it has loaded is drawn at the latest fraction once it has.
+ */
+export function drawRoute(mapView, definition, fraction) {
+  const state = getRouteState(mapView);
+  const id = routeId(definition);
+  let entry = state.routes.get(id);
+  if (!entry) {
+    entry = { status: "loading", definition, fraction, graphics: createRouteGraphics(state.layer, definition) };
+    state.routes.set(id, entry);
+    loadRoute(mapView, entry);
+  }
+  entry.fraction = fraction;
+  return entry.status === "ready" ? renderRoute(entry) : null;
+}
+
+/**
+ * Hides every route drawn on the view except those whose ids are listed.
+ */
+export function hideRoutes(mapView, keepIds = []) {
+  if (!routeStates.has(mapView)) return;
+  routeStates.get(mapView).routes.forEach((entry, id) => {
+    if (keepIds.includes(id)) return;
+    entry.fraction = 0;
+    if (entry.status === "ready") renderRoute(entry);
+  });
+}
@@ -1,26 +1,110 @@
+import { animationConfig } from "../config/animationConfig.js";
+import { getChoreographyHandler } from "./choreographyRegistry.js";
+import { createFollower } from "../utils/follower.js";
+import { easeProgress, easings, parseEasing, resolveTransition } from "../utils/easing.js";
+import { blendEffects, toEffectString } from "../utils/layerEffects.js";
+import { snapTimeToStep, timeExtentAt } from "../utils/calendarTime.js";
+import { drawRoute } from "./routeReveal.js";
+import { findLayer } from "../utils/layerLookup.js";
+import {
+  angularDistance,
+  flightScale,
+  geographicToPoint,
+  interpolateGreatCircle,
+  pointToGeographic,
+  projectPoint,
+  radiansToMeters,
+  sameSpatialReference,
+} from "../utils/geodesic.js";
 const Viewpoint = await $arcgis.import("@arcgis/core/Viewpoint.js");
+const Camera = await $arcgis.import("@arcgis/core/Camera.js");
 
 /**
- * Maps slide data keys to their corresponding animation handler functions,
- * enabling dynamic choreography of viewpoint and time slider transitions.
+ * Viewpoint and camera followers per view. Scroll handlers set targets on them and
+ * the map animator's render loop steps them once per animation frame, applying the
+ * view state directly instead of stacking goTo animations.
  */
-const choreographyHandlers = {
-  viewpoint: interpolateViewpoint,
-  timeSlider: interpolateTimeSlider
-};
+const viewFollowers = new WeakMap();
+
+function getFollowers(mapView) {
+  if (!viewFollowers.has(mapView)) {
+    const smoothing = animationConfig.scrollSmoothing ?? 0;
+    viewFollowers.set(mapView, {
+      viewpoint: createFollower({
+        smoothing,
+        blend: smoothViewpoints,
+        isSettled: viewpointsSettled,
+        apply: (viewpoint) => {
+          mapView.viewpoint = Viewpoint.fromJSON(viewpoint);
+        },
+      }),
+      camera: createFollower({
+        smoothing,
+        blend: blendCameras,
+        isSettled: camerasSettled,
+        apply: (cameraJSON) => {
+          const camera = Camera.fromJSON(cameraJSON);
+          camera.fov = cameraJSON.fov ?? camera.fov;
+          mapView.camera = camera;
+        },
+      }),
+    });
+  }
+  return viewFollowers.get(mapView);
+}
+
+/**
+ * Advances the view followers of the mapView by one frame.
+ * Returns true while a smoothed viewpoint or camera has not yet reached its target.
+ */
+export function stepScrollAnimation(mapView) {
+  if (!mapView || !viewFollowers.has(mapView)) return false;
+  const { viewpoint, camera } = viewFollowers.get(mapView);
+  const viewpointMoving = viewpoint.step();
+  const cameraMoving = camera.step();
+  return viewpointMoving || cameraMoving;
+}
+
+/**
+ * Drops any smoothed view state for the mapView, so the next scroll update is applied
+ * directly. Used when a discrete slide change moves the view on its own.
+ */
+export function resetScrollAnimation(mapView) {
+  if (!mapView || !viewFollowers.has(mapView)) return;
+  const { viewpoint, camera } = viewFollowers.get(mapView);
+  viewpoint.reset();
+  camera.reset();
+}
+
+/**
+ * Cuts the view straight to a viewpoint and/or camera (JSON), dropping any smoothed view
+ * state so scrolling carries on from there. Used where scrolling alone would not bring
+ * the view to a slide's own, such as after a jump or on the last slide.
+ */
+export function cutToView(mapView, { viewpoint, camera }) {
+  resetScrollAnimation(mapView);
+  if (viewpoint) {
+    mapView.viewpoint = Viewpoint.fromJSON(viewpoint);
+  }
+  if (camera) {
+    const targetCamera = Camera.fromJSON(camera);
+    targetCamera.fov = camera.fov ?? targetCamera.fov;
+    mapView.camera = targetCamera;
+  }
+}
 
 /**
- * Executes animation handlers for each key (defined above) in the current slide,
+ * Executes the registered onScroll handler for each key in the current slide,
  * passing shared context including progress and map state.
  * Used to animate transitions between slides during scroll events.
  */
 export function scrollAnimation(slideCurrent, slideNext, progress, mapView, timeSlider) {
   const context = { slideCurrent, slideNext, progress, mapView, timeSlider };
   Object.keys(slideCurrent)
-    .filter(key => typeof choreographyHandlers[key] === "function")
+    .filter(key => typeof getChoreographyHandler(key)?.onScroll === "function")
     .forEach(key => {
       try {
-        choreographyHandlers[key](context);
+        getChoreographyHandler(key).onScroll(context);
       } catch (error) {
         console.error(`Error processing '${key}':`, error);
       }
@@ -29,87 +113,387 @@ export function scrollAnimation(slideCurrent, slideNext, progress, mapView, time
 
 /**
  * Smoothly interpolates between two slide viewpoints based on progress (0–1),
- * generating a transitional camera view with updated rotation, scale, and geometry.
- * Applies the interpolated viewpoint to the mapView with animation.
+ * eased by the current slide's transition settings, generating a transitional
+ * camera view with updated rotation, scale, and geometry.
+ * The transition's path mode picks a linear or geodesic (fly-to) path.
+ * Sets the interpolated viewpoint as the target of the mapView's viewpoint follower.
+ * Skipped when the slide's keyframes drive the viewpoint, or the view follows a track, instead.
  */
-function interpolateViewpoint({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
+export function interpolateViewpoint({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
+  if (keyframesDefine(slideCurrent, "viewpoint") || slideCurrent.followTrack) return;
+
   const currentViewpoint = slideCurrent.viewpoint;
   const nextViewpoint = slideNext?.viewpoint;
 
   // If next viewpoint is missing, skip interpolation and use current viewpoint directly
   if (!nextViewpoint) return;
 
+  const easedProgress = easeProgress(slideCurrent, "viewpoint", progress);
+  const { path } = resolveTransition(slideCurrent, "viewpoint");
+  const spatialReference = mapView.spatialReference?.toJSON();
+  applyViewpoint(mapView, blendViewpoints(currentViewpoint, nextViewpoint, easedProgress, { path, spatialReference }));
+}
+
+/**
+ * Blends two viewpoint definitions at the given progress (0–1) using the path mode
+ * of the transition: "linear" interpolates rotation, scale and each corner of the
+ * target extent, "geodesic" flies along a great circle (see flyBetweenViewpoints).
+ * Extents in different spatial references are projected to the view's spatial reference.
+ * Returns null while a projection is not yet available.
+ */
+function blendViewpoints(fromViewpoint, toViewpoint, progress, { path, spatialReference } = {}) {
+  const fromSpatialReference = fromViewpoint.targetGeometry.spatialReference;
+  const outSpatialReference = !spatialReference || sameSpatialReference(fromSpatialReference, spatialReference)
+    ? fromSpatialReference
+    : spatialReference;
+
+  if (path === "geodesic") {
+    return flyBetweenViewpoints(fromViewpoint, toViewpoint, progress, outSpatialReference);
+  }
+
+  const fromExtent = projectExtent(fromViewpoint.targetGeometry, outSpatialReference);
+  const toExtent = projectExtent(toViewpoint.targetGeometry, outSpatialReference);
+  if (!fromExtent || !toExtent) return null;
+
   const interpolate = (fromVal, toVal) => fromVal + (toVal - fromVal) * progress;
 
-  const viewpoint = {
-    rotation: interpolate(currentViewpoint.rotation, nextViewpoint.rotation),
-    scale: interpolate(currentViewpoint.scale, nextViewpoint.scale),
+  return {
+    rotation: interpolate(fromViewpoint.rotation, toViewpoint.rotation),
+    scale: interpolate(fromViewpoint.scale, toViewpoint.scale),
     targetGeometry: {
       spatialReference: {
-        latestWkid: currentViewpoint.targetGeometry.spatialReference.latestWkid,
-        wkid: currentViewpoint.targetGeometry.spatialReference.wkid,
+        latestWkid: outSpatialReference.latestWkid,
+        wkid: outSpatialReference.wkid,
       },
-      xmin: interpolate(currentViewpoint.targetGeometry.xmin, nextViewpoint.targetGeometry.xmin),
-      ymin: interpolate(currentViewpoint.targetGeometry.ymin, nextViewpoint.targetGeometry.ymin),
-      xmax: interpolate(currentViewpoint.targetGeometry.xmax, nextViewpoint.targetGeometry.xmax),
-      ymax: interpolate(currentViewpoint.targetGeometry.ymax, nextViewpoint.targetGeometry.ymax),
+      xmin: interpolate(fromExtent.xmin, toExtent.xmin),
+      ymin: interpolate(fromExtent.ymin, toExtent.ymin),
+      xmax: interpolate(fromExtent.xmax, toExtent.xmax),
+      ymax: interpolate(fromExtent.ymax, toExtent.ymax),
     },
   };
+}
 
-  const targetViewpoint = Viewpoint.fromJSON(viewpoint);
-  mapView.goTo(targetViewpoint, {
-    animate: true,
-    duration: 1000,
-  }).catch((error) => {
-    console.error("Error setting interpolated viewpoint:", error);
-  });
+// Projects an extent's corners into the given spatial reference, or returns null while projection is unavailable.
+function projectExtent(extent, spatialReference) {
+  if (sameSpatialReference(extent.spatialReference, spatialReference)) return extent;
+  const min = projectPoint({ x: extent.xmin, y: extent.ymin }, extent.spatialReference, spatialReference);
+  const max = projectPoint({ x: extent.xmax, y: extent.ymax }, extent.spatialReference, spatialReference);
+  if (!min || !max) return null;
+  return { xmin: min.x, ymin: min.y, xmax: max.x, ymax: max.y };
 }
 
 /**
- * Interpolates between two slide time ranges based on progress (0–1),
- * snapping the result to the nearest time step and clamping it within bounds.
- * Updates the timeSlider's extent to reflect the interpolated time and stops playback.
+ * Flies between two viewpoints: the center follows the great circle between the
+ * two extents' centers, and the scale zooms out then back in, peaking at a scale
+ * that depends on the distance traveled. Returns a point-and-scale viewpoint, or
+ * null while a projection is not yet available.
  */
-function interpolateTimeSlider({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
-  try {
-  const slideTimeData = slideCurrent.timeSlider
-  const start = new Date(slideTimeData.timeSliderStart);
-  const end = new Date(slideTimeData.timeSliderEnd);
-  const step = slideTimeData.timeSliderStep;
-  const unit = slideTimeData.timeSliderUnit;
-  const interpolate = (fromVal, toVal) => fromVal + (toVal - fromVal) * progress;
-  const interpolatedTime = interpolate(start.getTime(), end.getTime());
-  const unitToMs = {
-    milliseconds: 1,
-    seconds: 1000,
-    minutes: 60 * 1000,
-    hours: 60 * 60 * 1000,
-    days: 24 * 60 * 60 * 1000,
-    weeks: 7 * 24 * 60 * 60 * 1000,
-    months: 30 * 24 * 60 * 60 * 1000, // Approximate
-    years: 365 * 24 * 60 * 60 * 1000, // Approximate
+function flyBetweenViewpoints(fromViewpoint, toViewpoint, progress, outSpatialReference) {
+  const fromGeometry = fromViewpoint.targetGeometry;
+  const toGeometry = toViewpoint.targetGeometry;
+  const centerOf = (extent) => ({ x: (extent.xmin + extent.xmax) / 2, y: (extent.ymin + extent.ymax) / 2 });
+
+  const fromCenter = pointToGeographic(centerOf(fromGeometry), fromGeometry.spatialReference);
+  const toCenter = pointToGeographic(centerOf(toGeometry), toGeometry.spatialReference);
+  const fromLeft = pointToGeographic({ x: fromGeometry.xmin, y: centerOf(fromGeometry).y }, fromGeometry.spatialReference);
+  const fromRight = pointToGeographic({ x: fromGeometry.xmax, y: centerOf(fromGeometry).y }, fromGeometry.spatialReference);
+  if (!fromCenter || !toCenter || !fromLeft || !fromRight) return null;
+
+  const distanceMeters = radiansToMeters(angularDistance(fromCenter, toCenter));
+  const widthPerScale = radiansToMeters(angularDistance(fromLeft, fromRight)) / fromViewpoint.scale;
+  const center = geographicToPoint(interpolateGreatCircle(fromCenter, toCenter, progress), outSpatialReference);
+  if (!center) return null;
+
+  return {
+    rotation: fromViewpoint.rotation + (toViewpoint.rotation - fromViewpoint.rotation) * progress,
+    scale: flightScale(fromViewpoint.scale, toViewpoint.scale, distanceMeters, widthPerScale, progress),
+    targetGeometry: {
+      spatialReference: {
+        latestWkid: outSpatialReference.latestWkid,
+        wkid: outSpatialReference.wkid,
+      },
+      x: center.x,
+      y: center.y,
+    },
   };
+}
+
+// Hands the given viewpoint JSON to the mapView's viewpoint follower, which sets it on the next frame.
+function applyViewpoint(mapView, viewpoint) {
+  if (!viewpoint) return;
+  getFollowers(mapView).viewpoint.setTarget(viewpoint);
+}
+
+/**
+ * Interpolates between two slide cameras of a 3D SceneView based on progress (0–1),
+ * eased by the current slide's transition settings. Position, tilt and field of view
+ * are blended linearly and heading turns along the shortest angle.
+ * Skipped when the slide's keyframes drive the camera instead.
+ */
+export function interpolateCamera({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
+  if (keyframesDefine(slideCurrent, "camera")) return;
+
+  const nextCamera = slideNext?.camera;
+  if (!nextCamera) return;
 
-  const stepMs = step * (unitToMs[unit] || 0);
-  if (stepMs <= 0) return new Date(Math.min(interpolatedTime, end.getTime()));
-
-  // Snap to step
-  const offset = interpolatedTime - start.getTime();
-  const snappedOffset = Math.ceil(offset / stepMs) * stepMs;
-  const snappedTime = start.getTime() + snappedOffset;
-
-  // Clamp to end
-  const clampedTime = Math.min(
-    Math.max(snappedTime, start.getTime()),
-    end.getTime()
-  );
-  timeSlider.timeExtent = {
-    start: null,
-    end: new Date(clampedTime),
+  const easedProgress = easeProgress(slideCurrent, "camera", progress);
+  applyCamera(mapView, blendCameras(slideCurrent.camera, nextCamera, easedProgress));
+}
+
+/**
+ * Blends two camera definitions at the given progress (0–1). The heading is
+ * interpolated along the shorter direction of rotation, so 350° to 10° turns
+ * through north instead of sweeping back through south.
+ */
+function blendCameras(fromCamera, toCamera, progress) {
+  const interpolate = (fromVal, toVal) => fromVal + (toVal - fromVal) * progress;
+  const headingDelta = angleDelta(fromCamera.heading ?? 0, toCamera.heading ?? 0);
+
+  return {
+    position: {
+      spatialReference: fromCamera.position.spatialReference,
+      x: interpolate(fromCamera.position.x, toCamera.position.x),
+      y: interpolate(fromCamera.position.y, toCamera.position.y),
+      z: interpolate(fromCamera.position.z ?? 0, toCamera.position.z ?? 0),
+    },
+    heading: ((fromCamera.heading ?? 0) + headingDelta * progress + 360) % 360,
+    tilt: interpolate(fromCamera.tilt ?? 0, toCamera.tilt ?? 0),
+    fov: interpolate(fromCamera.fov ?? 55, toCamera.fov ?? 55),
   };
-  timeSlider.stop();
+}
+
+// Hands the given camera JSON to the SceneView's camera follower, which sets it on the next frame.
+function applyCamera(mapView, cameraJSON) {
+  getFollowers(mapView).camera.setTarget(cameraJSON);
+}
+
+/**
+ * Interpolates the time slider across the slide's time range based on progress (0–1),
+ * eased by the slide's transition settings and snapped to its calendar steps. With
+ * timeSliderToNext set, time runs toward the next slide's start instead of this slide's
+ * end, so it carries on across the slide boundary without a jump.
+ * Skipped when the slide's keyframes drive the time instead.
+ */
+export function interpolateTimeSlider({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
+  if (keyframesDefine(slideCurrent, "time")) return;
+
+  try {
+    const slideTimeData = slideCurrent.timeSlider;
+    const nextTimeData = slideTimeData.timeSliderToNext ? slideNext?.timeSlider : null;
+    const start = new Date(slideTimeData.timeSliderStart).getTime();
+    const target = new Date(nextTimeData ? nextTimeData.timeSliderStart : slideTimeData.timeSliderEnd).getTime();
+    const easedProgress = easeProgress(slideCurrent, "timeSlider", progress);
+    const interpolatedTime = start + (target - start) * easedProgress;
+
+    const min = Math.min(start, target);
+    const max = Math.max(start, target);
+    if (nextTimeData) coverTimeRange(timeSlider, min, max);
+    applyTime(timeSlider, snapTimeToStep(interpolatedTime, slideTimeData, min, max), slideTimeData);
   } catch (error) {
     console.error("Error setting time slider:", error);
   }
+}
+
+// Widens the timeSlider's full extent to cover [min, max], so time can run on toward the next slide.
+function coverTimeRange(timeSlider, min, max) {
+  const full = timeSlider.fullTimeExtent;
+  const fullStart = full?.start?.getTime() ?? min;
+  const fullEnd = full?.end?.getTime() ?? max;
+  if (full?.start && full?.end && fullStart <= min && fullEnd >= max) return;
+  timeSlider.fullTimeExtent = { start: new Date(Math.min(min, fullStart)), end: new Date(Math.max(max, fullEnd)) };
+}
+
+// Sets the timeSlider's extent around the time, as the slide's time mode describes, stopping
+// playback only when the extent changes. Skips the update when the extent has not changed
+// since the last frame, so playback started elsewhere on the slide keeps running.
+export function applyTime(timeSlider, time, slideTimeData) {
+  const extent = timeExtentAt(time, slideTimeData);
+  const current = timeSlider.timeExtent;
+  if (current
+    && (current.start?.getTime() ?? null) === (extent.start?.getTime() ?? null)
+    && current.end?.getTime() === extent.end.getTime()) return;
+  timeSlider.stop();
+  timeSlider.timeExtent = extent;
+}
+
+/**
+ * Interpolates the opacity of each layer listed in the current slide's layerOpacity
+ * toward the value the next slide sets for it, eased by the slide's transition settings.
+ * Layers the next slide does not mention hold their current opacity, and layers
+ * animated by the slide's keyframes are left to them.
+ */
+export function interpolateLayerOpacity({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
+  const keyframeTitles = new Set((slideCurrent.keyframes || []).flatMap((keyframe) => Object.keys(keyframe.layerOpacity || {})));
+  const easedProgress = easeProgress(slideCurrent, "layerOpacity", progress);
+  Object.entries(slideCurrent.layerOpacity).forEach(([title, fromOpacity]) => {
+    const layer = findLayer(mapView, title);
+    if (!layer || keyframeTitles.has(title)) return;
+    const toOpacity = slideNext?.layerOpacity?.[title] ?? fromOpacity;
+    layer.opacity = fromOpacity + (toOpacity - fromOpacity) * easedProgress;
+  });
+}
+
+/**
+ * Draws the current slide's route up to the eased scroll progress, measured by geodesic length.
+ * With follow set, the view is centred on the route's head at the follow scale (or the current
+ * scale), through the viewpoint follower so scrollSmoothing applies.
+ */
+export function interpolateRouteReveal({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
+  const definition = slideCurrent.routeReveal;
+  const head = drawRoute(mapView, definition, easeProgress(slideCurrent, "routeReveal", progress));
+  if (!head || !definition.follow) return;
+  applyViewpoint(mapView, {
+    targetGeometry: head,
+    scale: definition.follow.scale ?? mapView.scale,
+    rotation: mapView.rotation ?? 0,
+  });
+}
+
+/**
+ * Interpolates the effect strengths (blur, grayscale, brightness...) of each layer
+ * listed in the current slide's layerEffect toward the next slide's effect for it.
+ * Layers the next slide does not mention hold their current effect.
+ */
+export function interpolateLayerEffect({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
+  const easedProgress = easeProgress(slideCurrent, "layerEffect", progress);
+  Object.entries(slideCurrent.layerEffect).forEach(([title, fromEffect]) => {
+    const layer = findLayer(mapView, title);
+    if (!layer) return;
+    const toEffect = slideNext?.layerEffect?.[title] ?? fromEffect;
+    layer.effect = toEffectString(blendEffects(fromEffect, toEffect, easedProgress));
+  });
+}
+
+// --- Smoothing ---
+
+// Reduces a viewpoint JSON (extent or point target) to its center, scale and rotation.
+function toViewState(viewpoint) {
+  const geometry = viewpoint.targetGeometry;
+  const hasExtent = geometry.xmin !== undefined;
+  return {
+    x: hasExtent ? (geometry.xmin + geometry.xmax) / 2 : geometry.x,
+    y: hasExtent ? (geometry.ymin + geometry.ymax) / 2 : geometry.y,
+    scale: viewpoint.scale,
+    rotation: viewpoint.rotation ?? 0,
+    spatialReference: geometry.spatialReference,
+  };
+}
+
+// Signed difference between two angles in degrees, along the shorter direction.
+const angleDelta = (from, to) => ((((to - from) % 360) + 540) % 360) - 180;
+
+/**
+ * Moves a smoothed viewpoint a fraction of the way toward its target. The center
+ * moves linearly, the scale geometrically and the rotation along the shorter angle.
+ * Jumps straight to the target when the spatial reference changes.
+ */
+function smoothViewpoints(currentViewpoint, targetViewpoint, fraction) {
+  const from = toViewState(currentViewpoint);
+  const to = toViewState(targetViewpoint);
+  if (!sameSpatialReference(from.spatialReference, to.spatialReference)) return targetViewpoint;
+
+  return {
+    rotation: from.rotation + angleDelta(from.rotation, to.rotation) * fraction,
+    scale: Math.exp(Math.log(from.scale) + (Math.log(to.scale) - Math.log(from.scale)) * fraction),
+    targetGeometry: {
+      spatialReference: to.spatialReference,
+      x: from.x + (to.x - from.x) * fraction,
+      y: from.y + (to.y - from.y) * fraction,
+    },
+  };
+}
+
+// Returns true when a smoothed viewpoint is within a fraction of a pixel of its target.
+function viewpointsSettled(currentViewpoint, targetViewpoint) {
+  const from = toViewState(currentViewpoint);
+  const to = toViewState(targetViewpoint);
+  const tolerance = to.scale * 1e-4;
+  return Math.abs(to.x - from.x) < tolerance
+    && Math.abs(to.y - from.y) < tolerance
+    && Math.abs(Math.log(to.scale / from.scale)) < 1e-3
+    && Math.abs(angleDelta(from.rotation, to.rotation)) < 0.05;
+}
+
+// Returns true when a smoothed camera is visually indistinguishable from its target.
+function camerasSettled(currentCamera, targetCamera) {
+  const from = currentCamera.position;
+  const to = targetCamera.position;
+  const tolerance = 1e-7 * (Math.abs(to.x) + Math.abs(to.y) + 1);
+  return Math.abs(to.x - from.x) < tolerance
+    && Math.abs(to.y - from.y) < tolerance
+    && Math.abs((to.z ?? 0) - (from.z ?? 0)) < 0.5
+    && Math.abs(angleDelta(currentCamera.heading ?? 0, targetCamera.heading ?? 0)) < 0.05
+    && Math.abs((targetCamera.tilt ?? 0) - (currentCamera.tilt ?? 0)) < 0.05
+    && Math.abs((targetCamera.fov ?? 55) - (currentCamera.fov ?? 55)) < 0.05;
+}
+
+// --- Keyframes ---
+
+// Returns true when at least one keyframe on the slide sets the given state key.
+function keyframesDefine(slide, key) {
+  return Array.isArray(slide.keyframes) && slide.keyframes.some((keyframe) => keyframe[key] !== undefined);
+}
+
+/**
+ * Finds the two keyframes that bracket the progress value among those defining
+ * the given state key, and the eased progress between them. Before the first or
+ * after the last keyframe, that keyframe's state is held.
+ */
+function findKeyframeSegment(keyframes, key, progress) {
+  const stops = keyframes
+    .filter((keyframe) => keyframe[key] !== undefined)
+    .sort((a, b) => a.progress - b.progress);
+  if (stops.length === 0) return null;
+
+  if (progress <= stops[0].progress) return { from: stops[0], to: stops[0], progress: 0 };
+  const last = stops[stops.length - 1];
+  if (progress >= last.progress) return { from: last, to: last, progress: 0 };
+
+  const index = stops.findIndex((keyframe) => keyframe.progress > progress);
+  const from = stops[index - 1];
+  const to = stops[index];
+  const localProgress = (progress - from.progress) / (to.progress - from.progress);
+  const timingFunction = parseEasing(from.easing) || easings.linear;
+  return { from, to, progress: timingFunction(localProgress) };
+}
+
+/**
+ * Interpolates viewpoint, camera, time and layer opacity between the keyframes of the
+ * current slide that bracket the scroll progress. Each state key is resolved
+ * independently, so a keyframe can set any subset of them.
+ */
+export function interpolateKeyframes({ slideCurrent, progress, mapView, timeSlider }) {
+  const keyframes = slideCurrent.keyframes;
+
+  const viewSegment = findKeyframeSegment(keyframes, "viewpoint", progress);
+  if (viewSegment) {
+    const options = { path: resolveTransition(slideCurrent, "viewpoint").path, spatialReference: mapView.spatialReference?.toJSON() };
+    applyViewpoint(mapView, blendViewpoints(viewSegment.from.viewpoint, viewSegment.to.viewpoint, viewSegment.progress, options));
+  }
+
+  const cameraSegment = findKeyframeSegment(keyframes, "camera", progress);
+  if (cameraSegment) {
+    applyCamera(mapView, blendCameras(cameraSegment.from.camera, cameraSegment.to.camera, cameraSegment.progress));
+  }
 
-}
\ No newline at end of file
+  const timeSegment = findKeyframeSegment(keyframes, "time", progress);
+  if (timeSegment && timeSlider) {
+    const fromTime = new Date(timeSegment.from.time).getTime();
+    const toTime = new Date(timeSegment.to.time).getTime();
+    const time = fromTime + (toTime - fromTime) * timeSegment.progress;
+    applyTime(timeSlider, slideCurrent.timeSlider ? snapTimeToStep(time, slideCurrent.timeSlider) : time, slideCurrent.timeSlider);
+  }
+
+  const opacityTitles = new Set(keyframes.flatMap((keyframe) => Object.keys(keyframe.layerOpacity || {})));
+  opacityTitles.forEach((title) => {
+    const segment = findKeyframeSegment(
+      keyframes.map((keyframe) => ({ ...keyframe, opacity: keyframe.layerOpacity?.[title] })),
+      "opacity",
+      progress
+    );
+    const layer = findLayer(mapView, title);
+    if (segment && layer) {
+      layer.opacity = segment.from.opacity + (segment.to.opacity - segment.from.opacity) * segment.progress;
+    }
+  });
+}
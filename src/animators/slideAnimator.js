@@ -1,35 +1,32 @@
+import { toEffectString } from "../utils/layerEffects.js";
+import { findLayer, replaceLayer } from "../utils/layerLookup.js";
+import { getChoreographyHandler } from "./choreographyRegistry.js";
+import { TIME_SLIDER_MODES, timeExtentAt } from "../utils/calendarTime.js";
+import { drawRoute } from "./routeReveal.js";
+import { startFollowingTrack } from "./trackFollower.js";
+import { applyLayerFilters, highlightFeatures } from "./featureFocus.js";
+import { isReducedMotion } from "../utils/motionPolicy.js";
+import { log } from "../utils/debugLog.js";
 const Viewpoint = await $arcgis.import("@arcgis/core/Viewpoint.js");
+const Camera = await $arcgis.import("@arcgis/core/Camera.js");
 
 /**
- * Maps slide data keys to their corresponding animation handler functions,
- * enabling dynamic choreography of viewpoint and time slider transitions.
- */
-const choreographyHandlers = {
-  viewpoint: toggleViewpoint,
-  timeSlider: toggleTimeSlider,
-  layerVisibility: toggleLayerVisibility,
-  trackRenderer: toggleTrackRenderer,
-};
-
-/**
- * Executes animation handlers for each key in slideData using shared context.
- * Skips keys listed in NON_EMBED_EXCLUDE_KEYS when in embedded mode.
+ * Executes the registered onSlide handler for each key in slideData using shared context.
+ * Skips handlers marked skipWhenEmbedded when in embedded mode.
  * Logs each triggered animation and catches any handler errors.
  */
-const NON_EMBED_EXCLUDE_KEYS = new Set(["viewpoint"]);
-
 export function slideAnimation(slideData, mapView, timeSlider, embedded) {
   const context = { slideData, mapView, timeSlider, embedded };
 
-  Object.entries(slideData).forEach(([key, value]) => {
-    const handler = choreographyHandlers[key];
-    if (!handler) return;
+  Object.keys(slideData).forEach((key) => {
+    const handler = getChoreographyHandler(key);
+    if (typeof handler?.onSlide !== "function") return;
 
-    // Skip excluded keys when not embedded
-    if (embedded && NON_EMBED_EXCLUDE_KEYS.has(key)) return;
+    // Skip handlers that only apply outside the story embed
+    if (embedded && handler.skipWhenEmbedded) return;
 
     try {
-      handler(context);
+      handler.onSlide(context);
     } catch (error) {
       console.error(`Error processing '${key}':`, error);
     }
@@ -38,12 +35,13 @@ export function slideAnimation(slideData, mapView, timeSlider, embedded) {
 
 /**
  * Sets the map view to the viewpoint defined in slideData,
- * animating the transition over 1 second. Logs errors if the transition fails.
+ * animating the transition over 1 second (or cutting to it under reduced motion).
+ * Logs errors if the transition fails.
  */
-function toggleViewpoint({ slideData, mapView, timeSlider, embedded }) {
+export function toggleViewpoint({ slideData, mapView, timeSlider, embedded }) {
   const targetViewpoint = Viewpoint.fromJSON(slideData.viewpoint);
   mapView.goTo(targetViewpoint, {
-      animate: true,
+      animate: !isReducedMotion(),
       duration: 1000,
     })
     .catch((error) => {
@@ -51,12 +49,29 @@ function toggleViewpoint({ slideData, mapView, timeSlider, embedded }) {
     });
 }
 
+/**
+ * Sets the 3D SceneView to the camera defined in slideData,
+ * animating the transition over 1 second (or cutting to it under reduced motion).
+ * Logs errors if the transition fails.
+ */
+export function toggleCamera({ slideData, mapView, timeSlider, embedded }) {
+  const targetCamera = Camera.fromJSON(slideData.camera);
+  targetCamera.fov = slideData.camera.fov ?? targetCamera.fov;
+  mapView.goTo(targetCamera, {
+      animate: !isReducedMotion(),
+      duration: 1000,
+    })
+    .catch((error) => {
+      console.error("Error setting camera:", error);
+    });
+}
+
 /**
  * Update the timeSlider using configuration from choreographyData.
- * Sets the full time extent, interval stops, and starting frame.
- * Automatically starts playback if the slider is ready and not in embedded mode.
+ * Sets the time mode and zone, full time extent, interval stops, and starting frame.
+ * Automatically starts playback if the slider is ready, not in embedded mode and motion is not reduced.
  */
-function toggleTimeSlider({ slideData, mapView, timeSlider, embedded }) {
+export function toggleTimeSlider({ slideData, mapView, timeSlider, embedded }) {
   if ( timeSlider && slideData.timeSlider && slideData.timeSlider.timeSliderStart && slideData.timeSlider.timeSliderEnd ) {
     const timeStart = slideData.timeSlider.timeSliderStart;
     const timeEnd = slideData.timeSlider.timeSliderEnd;
@@ -66,8 +81,12 @@ function toggleTimeSlider({ slideData, mapView, timeSlider, embedded }) {
     const endFrame = new Date(timeEnd);
 
     // Configure time extent
+    timeSlider.mode = TIME_SLIDER_MODES[slideData.timeSlider.timeSliderMode ?? "cumulative"];
+    if (slideData.timeSlider.timeSliderTimeZone) {
+      timeSlider.timeZone = slideData.timeSlider.timeSliderTimeZone;
+    }
     timeSlider.fullTimeExtent = { start: startFrame, end: endFrame };
-    timeSlider.timeExtent = { start: null, end: startFrame };
+    timeSlider.timeExtent = timeExtentAt(startFrame, slideData.timeSlider);
 
     // Set the time slider interval based on choreography
     timeSlider.stops = {
@@ -78,9 +97,9 @@ function toggleTimeSlider({ slideData, mapView, timeSlider, embedded }) {
     };
 
     // Start the time slider if not already playing and if outside script embed story
-    if (timeSlider.state === "ready" && !embedded) {
+    if (timeSlider.state === "ready" && !embedded && !isReducedMotion()) {
       timeSlider.play();
-    } else if (timeSlider.state === "ready" && embedded) {
+    } else if (timeSlider.state === "ready") {
       timeSlider.stop()
     } else if (!timeSlider) {
       log("No timeSlider component found.");
@@ -94,18 +113,16 @@ function toggleTimeSlider({ slideData, mapView, timeSlider, embedded }) {
 /**
  * Updates map layer visibility based on slideData configuration.
  * Turns on layers listed in layersOn and turns off layers listed in layersOff
- * by matching layer titles in the mapView.
+ * by matching layer ids or titles anywhere in the map, including inside group layers.
  */
-function toggleLayerVisibility({ slideData, mapView, timeSlider, embedded }) {
-  const mapLayers = mapView.map.layers;
+export function toggleLayerVisibility({ slideData, mapView, timeSlider, embedded }) {
   function setLayerVisibility(layerNames, visibility) {
-    if (layerNames && layerNames.length > 0) {
-      mapLayers.forEach((mapLayer) => {
-        if (layerNames.includes(mapLayer.title)) {
-          mapLayer.visible = visibility; // Set visibility based on the argument
-        }
-      });
-    }
+    (layerNames || []).forEach((layerName) => {
+      const mapLayer = findLayer(mapView, layerName);
+      if (mapLayer) {
+        mapLayer.visible = visibility; // Set visibility based on the argument
+      }
+    });
   }
   const layersOn = slideData.layerVisibility.layersOn;
   const layersOff = slideData.layerVisibility.layersOff;
@@ -115,54 +132,146 @@ function toggleLayerVisibility({ slideData, mapView, timeSlider, embedded }) {
 }
 
 /**
- * Reconfigures and reapplies a track renderer to its corresponding map layer
- * using parameters from slideData and timeSlider. Performs a hard reset by
- * removing and re-adding the layer, then updates its timeInfo and trackInfo.
- * Ensures the layer is visible.
+ * Sets the opacity of each layer listed in slideData.layerOpacity,
+ * matching layer ids or titles in the mapView.
+ */
+export function toggleLayerOpacity({ slideData, mapView, timeSlider, embedded }) {
+  Object.entries(slideData.layerOpacity).forEach(([title, opacity]) => {
+    const mapLayer = findLayer(mapView, title);
+    if (mapLayer) {
+      mapLayer.opacity = opacity;
+    }
+  });
+}
+
+/**
+ * Sets the effect of each layer listed in slideData.layerEffect, converting
+ * the choreography's filter strengths to a layer effect string. An empty
+ * effect object clears the layer's effect.
  */
-function toggleTrackRenderer({ slideData, mapView, timeSlider, embedded }) {
-  const mapLayers = mapView.map.layers;
-  const trackTimeConfig = slideData.timeSlider;
-  async function applyTrackRenderer(trackRenderer, timeSlider) {
+export function toggleLayerEffect({ slideData, mapView, timeSlider, embedded }) {
+  Object.entries(slideData.layerEffect).forEach(([title, effect]) => {
+    const mapLayer = findLayer(mapView, title);
+    if (mapLayer) {
+      mapLayer.effect = toEffectString(effect);
+    }
+  });
+}
+
+/**
+ * Snaps the slide's route to fully drawn. Skipped when embedded, where scrolling
+ * through the slide draws it; the state reconciler snaps other slides' routes.
+ */
+export function toggleRouteReveal({ slideData, mapView, timeSlider, embedded }) {
+  drawRoute(mapView, slideData.routeReveal, 1);
+}
+
+/**
+ * Starts keeping the view centred on the latest observation of the slide's followTrack,
+ * at the time slider's current time. Following stops when a slide without followTrack is reached.
+ */
+export function toggleFollowTrack({ slideData, mapView, timeSlider, embedded }) {
+  startFollowingTrack(mapView, slideData.followTrack);
+}
+
+/**
+ * Applies the slide's layerFilter: a definitionExpression, client-side feature filter or
+ * feature effect per layer. Layers filtered by the previous slide but not this one are restored.
+ */
+export function toggleLayerFilter({ slideData, mapView, timeSlider, embedded }) {
+  applyLayerFilters(mapView, slideData.layerFilter);
+}
+
+/**
+ * Highlights the features selected by the slide's featureHighlight (one query, or an array),
+ * replacing any previous highlight, and opens a popup on the first feature of a query with popup.
+ */
+export function toggleFeatureHighlight({ slideData, mapView, timeSlider, embedded }) {
+  highlightFeatures(mapView, [slideData.featureHighlight].flat());
+}
+
+/**
+ * Track renderer settings last applied to each layer, so unchanged settings are not reapplied.
+ * Holds the trackInfo instance set on the layer alongside the choreography JSON it came from.
+ */
+const appliedTrackInfos = new WeakMap();
+
+/**
+ * Applies the slide's track renderers (one object, or an array with one per track layer).
+ * Each layer's timeInfo and trackInfo are patched only where they differ from the renderer's;
+ * the layer is removed, cloned and re-added only when patching fails or hardReset is set.
+ * A renderer's time interval is its own timeInterval, or the slide's timeSlider unit and step.
+ * Ensures the layers are visible.
+ */
+export function toggleTrackRenderer({ slideData, mapView, timeSlider, embedded }) {
+  [slideData.trackRenderer].flat().filter(Boolean).forEach((trackRenderer) => {
+    const interval = trackRenderer.timeInterval ?? {
+      unit: slideData.timeSlider?.timeSliderUnit,
+      value: slideData.timeSlider?.timeSliderStep,
+    };
+    applyTrackRenderer(mapView, trackRenderer, interval);
+  });
+}
+
+// Patches a track layer to match the renderer, falling back to a hard reset if patching fails.
+async function applyTrackRenderer(mapView, trackRenderer, interval) {
+  const trackLayer = findLayer(mapView, trackRenderer.trackLayerName);
+  if (!trackLayer) return;
+
+  try {
+    if (trackRenderer.hardReset) {
+      await resetTrackLayer(mapView, trackLayer, trackRenderer, interval);
+      return;
+    }
+    await trackLayer.load();
+    patchTrackLayer(trackLayer, trackRenderer, interval);
+  } catch (error) {
+    console.error("Failed to patch track renderer, falling back to a hard reset:", error);
     try {
-      const trackLayerField = trackRenderer.trackFieldName;
-      const trackTimeSliderUnit = timeSlider.timeSliderUnit;
-      const trackTimeSliderStep = timeSlider.timeSliderStep;
-      let trackLayer = mapLayers.find(
-        (layer) => layer.title === trackRenderer.trackLayerName
-      );
-      if (trackLayer) {
-        // these are an attempt to do a hard reset on the renderer when we switch hashes
-        const layerIndex = mapView.map.layers.indexOf(trackLayer);
-        try {
-          mapView.map.remove(trackLayer);
-        } catch (error) {
-          console.error("Failed to remove track layer:", error);
-        }
-        trackLayer = trackLayer.clone();
-        try {
-          mapView.map.add(trackLayer, layerIndex);
-        } catch (error) {
-          console.error("Failed to add track layer:", error);
-        }
-        console.log("Applying track renderer:", trackRenderer.trackLayerName);
-        await trackLayer.when(); // Wait for the layer to load
-        const trackStartField = trackLayer.timeInfo.startField;
-        trackLayer.visible = true; // Make the layer visible
-        trackLayer.timeInfo = {
-          startField: trackStartField,
-          trackIdField: trackLayerField,
-          interval: {
-            unit: trackTimeSliderUnit,
-            value: trackTimeSliderStep,
-          },
-        };
-        // Apply renderer from choreography data
-        trackLayer.trackInfo = trackRenderer.trackInfo;
-      }
-    } catch (error) {
-      console.error("Failed to set track Renderer:", error);
+      await resetTrackLayer(mapView, trackLayer, trackRenderer, interval);
+    } catch (resetError) {
+      console.error("Failed to set track Renderer:", resetError);
+    }
+  }
+}
+
+// Sets the layer's track id field and time interval, and its trackInfo, only where they differ from the renderer's.
+function patchTrackLayer(trackLayer, trackRenderer, interval) {
+  const timeInfo = trackLayer.timeInfo;
+  if (!timeInfo) {
+    throw new Error(`Layer "${trackRenderer.trackLayerName}" is not time-aware.`);
+  }
+
+  const intervalChanged = interval.unit !== undefined
+    && (timeInfo.interval?.unit !== interval.unit || timeInfo.interval?.value !== interval.value);
+  if (timeInfo.trackIdField !== trackRenderer.trackFieldName || intervalChanged) {
+    const patchedTimeInfo = timeInfo.clone();
+    patchedTimeInfo.trackIdField = trackRenderer.trackFieldName;
+    if (intervalChanged) {
+      patchedTimeInfo.interval = { unit: interval.unit, value: interval.value };
     }
+    trackLayer.timeInfo = patchedTimeInfo;
+  }
+
+  const trackInfoJSON = JSON.stringify(trackRenderer.trackInfo);
+  const applied = appliedTrackInfos.get(trackLayer);
+  if (!applied || applied.trackInfo !== trackLayer.trackInfo || applied.json !== trackInfoJSON) {
+    trackLayer.trackInfo = trackRenderer.trackInfo;
+    appliedTrackInfos.set(trackLayer, { trackInfo: trackLayer.trackInfo, json: trackInfoJSON });
   }
-  applyTrackRenderer(slideData.trackRenderer, trackTimeConfig);
+
+  if (!trackLayer.visible) {
+    trackLayer.visible = true;
+  }
+}
+
+// Hard reset: replaces the layer with a clone at the same index in its map or group layer
+// (through replaceLayer, so state kept for the layer moves to the clone), then applies the
+// renderer to the clone.
+async function resetTrackLayer(mapView, trackLayer, trackRenderer, interval) {
+  const clonedLayer = trackLayer.clone();
+  replaceLayer(mapView, trackLayer, clonedLayer);
+  log("Hard reset of track layer:", trackRenderer.trackLayerName);
+  await clonedLayer.when();
+  patchTrackLayer(clonedLayer, trackRenderer, interval);
 }
@@ -0,0 +1,185 @@
+import { animationConfig } from "../config/animationConfig.js";
+import { projectPoint } from "../utils/geodesic.js";
+import { tilesCovering } from "../utils/tileMath.js";
+import { findLayer, onLayerReplaced } from "../utils/layerLookup.js";
+const reactiveUtils = await $arcgis.import("@arcgis/core/core/reactiveUtils.js");
+
+// Warms up upcoming slides before the reader reaches them: the layers they reference are
+// drawn (a hidden layer at opacity 0, hidden again once drawn) and the raster basemap tiles
+// covering their viewpoints are fetched into the browser cache, so the transition does not
+// reveal blank tiles and layers drawing in. Vector tile basemaps are not prefetched.
+// The layers a slide turns on are its required layers; slideLayersReady tells whether they
+// have been drawn, so the map animator can show a loading indicator or hold the slide.
+
+/**
+ * Per view: the slides already prefetched, the warm-up of each layer by layer, the layers
+ * whose warm-up has settled, and the original opacity of each hidden layer being drawn.
+ */
+const prefetchStates = new WeakMap();
+
+function getPrefetchState(mapView) {
+  if (!prefetchStates.has(mapView)) {
+    prefetchStates.set(mapView, { slides: new WeakSet(), loads: new Map(), settled: new WeakSet(), warming: new Map() });
+  }
+  return prefetchStates.get(mapView);
+}
+
+// Ids or titles of every layer a slide references, whichever key references it.
+function referencedLayerTitles(slide) {
+  return [
+    ...(slide.layerVisibility?.layersOn ?? []),
+    ...Object.keys(slide.layerOpacity ?? {}),
+    ...Object.keys(slide.layerEffect ?? {}),
+    ...[slide.trackRenderer ?? []].flat().map((renderer) => renderer.trackLayerName),
+    slide.routeReveal?.layerTitle,
+    slide.followTrack?.layerTitle,
+    ...Object.keys(slide.layerFilter ?? {}),
+    ...[slide.featureHighlight ?? []].flat().map((highlight) => highlight.layerTitle),
+  ].filter(Boolean);
+}
+
+// Hides a layer drawn for its warm-up again, restoring its opacity (on its replacement, if it was swapped).
+function endWarmup(state, layer, target = layer) {
+  if (!state.warming.has(layer)) return;
+  target.visible = false;
+  target.opacity = state.warming.get(layer);
+  state.warming.delete(layer);
+}
+
+// Draws a layer: its layer view is created and left to fetch what the view shows. A hidden
+// layer is made visible at opacity 0 meanwhile, unless its warm-up is ended before.
+async function drawLayer(mapView, layer, state) {
+  await layer.load();
+  if (!layer.visible) {
+    state.warming.set(layer, layer.opacity);
+    layer.opacity = 0;
+    layer.visible = true;
+  }
+  try {
+    const layerView = await mapView.whenLayerView(layer);
+    await reactiveUtils.whenOnce(() => !layerView.updating);
+  } finally {
+    endWarmup(state, layer);
+  }
+}
+
+/**
+ * Draws a layer without showing it, once per layer.
+ * Resolves when the warm-up has settled, whether it succeeded or not.
+ */
+function warmLayer(mapView, layer) {
+  const state = getPrefetchState(mapView);
+  if (!state.loads.has(layer)) {
+    const load = drawLayer(mapView, layer, state)
+      .catch((error) => console.warn(`Failed to prefetch layer "${layer.title}":`, error))
+      .finally(() => state.settled.add(layer));
+    state.loads.set(layer, load);
+  }
+  return state.loads.get(layer);
+}
+
+/**
+ * Hides every layer still being drawn for its warm-up, restoring its opacity. Called
+ * before a slide is applied, so the slide sees and sets the layers' own visibility and opacity.
+ */
+export function endLayerWarmups(mapView) {
+  const state = mapView && prefetchStates.get(mapView);
+  state?.warming.forEach((opacity, layer) => endWarmup(state, layer));
+}
+
+// A prefetched layer swapped for a clone (a track layer's hard reset) is prefetched again as the clone.
+onLayerReplaced((mapView, layer, replacement) => {
+  const state = prefetchStates.get(mapView);
+  if (!state?.loads.has(layer)) return;
+  endWarmup(state, layer, replacement);
+  state.loads.delete(layer);
+  warmLayer(mapView, replacement);
+});
+
+// Returns the extent (in the view's spatial reference) and resolution a 2D viewpoint shows, or null.
+function viewpointCoverage(mapView, viewpoint) {
+  const geometry = viewpoint?.targetGeometry;
+  const spatialReference = geometry?.spatialReference ?? mapView.spatialReference.toJSON();
+  const toView = (x, y) => projectPoint({ x, y }, spatialReference, mapView.spatialReference.toJSON());
+
+  if (geometry?.xmin !== undefined) {
+    const min = toView(geometry.xmin, geometry.ymin);
+    const max = toView(geometry.xmax, geometry.ymax);
+    if (!min || !max) return null;
+    const resolution = Math.max((max.x - min.x) / mapView.width, (max.y - min.y) / mapView.height);
+    return { extent: { xmin: min.x, ymin: min.y, xmax: max.x, ymax: max.y }, resolution };
+  }
+  if (geometry?.x !== undefined && viewpoint.scale) {
+    const center = toView(geometry.x, geometry.y);
+    if (!center) return null;
+    const resolution = viewpoint.scale * (mapView.resolution / mapView.scale);
+    const halfWidth = (mapView.width * resolution) / 2;
+    const halfHeight = (mapView.height * resolution) / 2;
+    return {
+      extent: { xmin: center.x - halfWidth, ymin: center.y - halfHeight, xmax: center.x + halfWidth, ymax: center.y + halfHeight },
+      resolution,
+    };
+  }
+  return null;
+}
+
+// Fetches the tiles of every raster tiled basemap layer (those with fetchTile, not vector
+// tile layers) covering a slide's viewpoint into the browser cache.
+function prefetchBasemapTiles(mapView, slide) {
+  if (mapView.type === "3d") return;
+  const coverage = viewpointCoverage(mapView, slide.viewpoint);
+  if (!coverage) return;
+
+  (mapView.map.basemap?.baseLayers ?? [])
+    .filter((layer) => layer.loaded && typeof layer.fetchTile === "function" && layer.tileInfo)
+    .forEach((layer) => {
+      tilesCovering(layer.tileInfo, coverage.extent, coverage.resolution).forEach(({ level, row, col }) => {
+        layer.fetchTile(level, row, col).catch(() => {});
+      });
+    });
+}
+
+/**
+ * Prefetches the slides after the current one, up to animationConfig.prefetchSlides ahead.
+ * The next slide is prefetched on arrival and each one after it once the reader's progress
+ * through the current slide gets that much closer to it (the second of two halfway through).
+ * Each slide is prefetched once per view.
+ */
+export function prefetchUpcomingSlides(mapView, choreographyData, index, progress = 0) {
+  if (!mapView) return;
+  const state = getPrefetchState(mapView);
+  const lookahead = animationConfig.prefetchSlides ?? 0;
+
+  for (let ahead = 1; ahead <= lookahead; ahead++) {
+    const slide = choreographyData[index + ahead];
+    if (!slide || progress < (ahead - 1) / lookahead) break;
+    if (state.slides.has(slide)) continue;
+    state.slides.add(slide);
+
+    referencedLayerTitles(slide)
+      .map((title) => findLayer(mapView, title))
+      .filter(Boolean)
+      .forEach((layer) => warmLayer(mapView, layer));
+    prefetchBasemapTiles(mapView, slide);
+  }
+}
+
+// The layers a slide turns on, which must be drawn before the slide looks right.
+const requiredLayers = (mapView, slide) =>
+  (slide?.layerVisibility?.layersOn ?? []).map((title) => findLayer(mapView, title)).filter(Boolean);
+
+/**
+ * Returns true when every layer the slide turns on has been drawn (or failed to).
+ */
+export function slideLayersReady(mapView, slide) {
+  const { settled } = getPrefetchState(mapView);
+  return requiredLayers(mapView, slide).every((layer) => settled.has(layer));
+}
+
+/**
+ * Resolves once every layer the slide turns on has been drawn (or failed to),
+ * drawing any that were not prefetched.
+ */
+export function whenSlideLayersReady(mapView, slide) {
+  return Promise.all(requiredLayers(mapView, slide).map((layer) => warmLayer(mapView, layer)));
+}
@@ -0,0 +1,291 @@
+import { slideAnimation } from "./slideAnimator.js";
+import { applyTime, cutToView } from "./scrollAnimator.js";
+import { toEffectString } from "../utils/layerEffects.js";
+import { getChoreographyHandler } from "./choreographyRegistry.js";
+import { drawRoute, hideRoutes, routeId } from "./routeReveal.js";
+import { stopFollowingTrack } from "./trackFollower.js";
+import { clearFeatureHighlights, clearLayerFilters } from "./featureFocus.js";
+import { findLayer } from "../utils/layerLookup.js";
+
+/**
+ * Tracks, per view, the web map's original layer state (the baseline every slide builds on)
+ * and the state last applied by the reconciler, so a slide change only touches what differs.
+ */
+const reconcilerStates = new WeakMap();
+
+// Keys reconciled below; other keys with a registered onSlide handler are applied
+// as the target slide defines them.
+const RECONCILED_KEYS = new Set(["layerVisibility", "layerOpacity", "layerEffect", "trackRenderer", "timeSlider", "viewpoint", "camera", "featureHighlight"]);
+
+// Returns the time interval a time slider configuration steps by, if any.
+const timeIntervalOf = (timeSlider) => timeSlider && { unit: timeSlider.timeSliderUnit, value: timeSlider.timeSliderStep };
+
+/**
+ * Folds slides 0..slideIndex into the effective map state of that slide. Later slides
+ * override earlier ones: layer visibility, opacity and effects by layer id or title, track
+ * renderers by layer name, and the most recent time slider, viewpoint and camera.
+ * Each track renderer keeps the time interval in effect on the slide that set it.
+ * layerKey maps each layer id or title to the key its state is kept under, so a layer
+ * named by its id on one slide and by its title on another is folded as one.
+ */
+export function resolveSlideState(choreographyData, slideIndex, layerKey = (reference) => reference) {
+  const state = {
+    layerVisibility: {},
+    layerOpacity: {},
+    layerEffect: {},
+    trackRenderers: {},
+    timeSlider: null,
+    viewpoint: null,
+    camera: null,
+  };
+
+  choreographyData.slice(0, slideIndex + 1).forEach((slide) => {
+    slide.layerVisibility?.layersOn?.forEach((title) => (state.layerVisibility[layerKey(title)] = true));
+    slide.layerVisibility?.layersOff?.forEach((title) => (state.layerVisibility[layerKey(title)] = false));
+    Object.entries(slide.layerOpacity ?? {}).forEach(([title, opacity]) => (state.layerOpacity[layerKey(title)] = opacity));
+    Object.entries(slide.layerEffect ?? {}).forEach(([title, effect]) => (state.layerEffect[layerKey(title)] = effect));
+    state.timeSlider = slide.timeSlider ?? state.timeSlider;
+    [slide.trackRenderer].flat().filter(Boolean).forEach((trackRenderer) => {
+      state.trackRenderers[layerKey(trackRenderer.trackLayerName)] = {
+        ...trackRenderer,
+        timeInterval: trackRenderer.timeInterval ?? timeIntervalOf(state.timeSlider),
+      };
+    });
+    state.viewpoint = slide.viewpoint ?? state.viewpoint;
+    state.camera = slide.camera ?? state.camera;
+  });
+
+  return state;
+}
+
+// Collects every layer id or title the choreography touches, so their original state can be recorded.
+function collectLayerTitles(choreographyData) {
+  const titles = new Set();
+  choreographyData.forEach((slide) => {
+    slide.layerVisibility?.layersOn?.forEach((title) => titles.add(title));
+    slide.layerVisibility?.layersOff?.forEach((title) => titles.add(title));
+    Object.keys(slide.layerOpacity || {}).forEach((title) => titles.add(title));
+    Object.keys(slide.layerEffect || {}).forEach((title) => titles.add(title));
+    (slide.keyframes || []).forEach((keyframe) => Object.keys(keyframe.layerOpacity || {}).forEach((title) => titles.add(title)));
+    [slide.trackRenderer].flat().filter(Boolean).forEach((trackRenderer) => titles.add(trackRenderer.trackLayerName));
+  });
+  return titles;
+}
+
+/**
+ * Returns the reconciler state for a view, recording the original visibility, opacity,
+ * effect and track settings of every layer the choreography touches on first use.
+ * Each layer's state is kept under the first id or title it is named by; layerKey
+ * maps every other name of the layer to that one.
+ */
+function getReconcilerState(mapView, choreographyData) {
+  if (!reconcilerStates.has(mapView)) {
+    const baseline = {};
+    const keysByLayer = new Map();
+    const aliases = new Map();
+    collectLayerTitles(choreographyData).forEach((title) => {
+      const layer = findLayer(mapView, title);
+      if (!layer) return;
+      if (!keysByLayer.has(layer)) keysByLayer.set(layer, title);
+      aliases.set(title, keysByLayer.get(layer));
+      if (aliases.get(title) !== title) return;
+      baseline[title] = {
+        visible: layer.visible,
+        opacity: layer.opacity,
+        effect: layer.effect,
+        trackInfo: layer.trackInfo?.clone?.() ?? layer.trackInfo ?? null,
+        timeInfo: layer.timeInfo?.clone?.() ?? layer.timeInfo ?? null,
+      };
+    });
+    const layerKey = (reference) => aliases.get(reference) ?? reference;
+    reconcilerStates.set(mapView, { baseline, layerKey, applied: { layerEffect: {}, trackRenderers: {}, timeSlider: null, featureHighlight: null } });
+  }
+  return reconcilerStates.get(mapView);
+}
+
+// Returns true when the view already shows the viewpoint, comparing scale and center with a small tolerance.
+function viewpointMatches(mapView, viewpoint) {
+  const geometry = viewpoint.targetGeometry;
+  const center = mapView.center;
+  const wkid = geometry.spatialReference?.latestWkid ?? geometry.spatialReference?.wkid;
+  if (!center || !mapView.scale || (wkid !== center.spatialReference?.latestWkid && wkid !== center.spatialReference?.wkid)) return false;
+
+  const x = geometry.xmin !== undefined ? (geometry.xmin + geometry.xmax) / 2 : geometry.x;
+  const y = geometry.ymin !== undefined ? (geometry.ymin + geometry.ymax) / 2 : geometry.y;
+  const tolerance = viewpoint.scale * 1e-4;
+  return Math.abs(mapView.scale / viewpoint.scale - 1) < 0.01
+    && Math.abs(center.x - x) < tolerance
+    && Math.abs(center.y - y) < tolerance
+    && Math.abs((mapView.rotation ?? 0) - (viewpoint.rotation ?? 0)) < 0.5;
+}
+
+// Returns true when the scene already shows the camera, comparing position, heading, tilt and field of view.
+function cameraMatches(mapView, camera) {
+  const current = mapView.camera;
+  if (!current?.position) return false;
+  const close = (a = 0, b = 0, tolerance) => Math.abs(a - b) <= tolerance;
+  const position = camera.position;
+  const positionTolerance = (value) => 1e-6 * Math.max(1, Math.abs(value ?? 0));
+  return close(current.position.x, position.x, positionTolerance(position.x))
+    && close(current.position.y, position.y, positionTolerance(position.y))
+    && close(current.position.z, position.z, positionTolerance(position.z))
+    && Math.abs(((current.heading ?? 0) - (camera.heading ?? 0) + 540) % 360 - 180) < 0.01
+    && close(current.tilt, camera.tilt, 0.01)
+    && (camera.fov === undefined || close(current.fov, camera.fov, 0.01));
+}
+
+// The folded viewpoint and camera of a slide state that the view does not show yet (null when it does).
+function unmatchedView(mapView, { viewpoint, camera }) {
+  return {
+    viewpoint: viewpoint && !(mapView.type === "2d" && viewpointMatches(mapView, viewpoint)) ? viewpoint : null,
+    camera: camera && !(mapView.type === "3d" && cameraMatches(mapView, camera)) ? camera : null,
+  };
+}
+
+/**
+ * Cuts the view to the effective viewpoint or camera of the given slide, unless it
+ * already shows it. Used when seeking, where scrolling takes over from the slide's view.
+ */
+export function cutToSlideView(choreographyData, slideIndex, mapView) {
+  const view = unmatchedView(mapView, resolveSlideState(choreographyData, slideIndex));
+  if (view.viewpoint || view.camera) cutToView(mapView, view);
+}
+
+// The time a slide starts at: its own timeSliderStart, or the end of the time slider it
+// inherits from an earlier slide, where scrolling through that slide left the time.
+function slideStartTime(slide, timeSliderData) {
+  return new Date(slide?.timeSlider ? timeSliderData.timeSliderStart : timeSliderData.timeSliderEnd);
+}
+
+const sameJSON = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Brings the map to the effective state of the given slide, whichever slides the
+ * reader passed through to get there. Builds a slide containing only the keys whose
+ * state differs from the current map and applies it through slideAnimation; layers
+ * whose effect or track renderer no longer applies are restored to the web map's original.
+ * Embedded, where the viewpoint and camera handlers leave the view to scrolling, the view
+ * is cut to the slide's own and the time extent set to the slide's start instead.
+ */
+export function reconcileSlideState(choreographyData, slideIndex, mapView, timeSlider, embedded) {
+  const { baseline, applied, layerKey } = getReconcilerState(mapView, choreographyData);
+  const target = resolveSlideState(choreographyData, slideIndex, layerKey);
+  const diffSlide = {};
+
+  // Visibility: slide values over the original visibility of every touched layer
+  const layersOn = [];
+  const layersOff = [];
+  Object.entries(baseline).forEach(([title, original]) => {
+    const layer = findLayer(mapView, title);
+    const visible = target.layerVisibility[title] ?? original.visible;
+    if (!layer || layer.visible === visible) return;
+    (visible ? layersOn : layersOff).push(title);
+  });
+  if (layersOn.length > 0 || layersOff.length > 0) {
+    diffSlide.layerVisibility = { layersOn, layersOff };
+  }
+
+  // Opacity: slide values over the original opacity
+  const layerOpacity = {};
+  Object.entries(baseline).forEach(([title, original]) => {
+    const layer = findLayer(mapView, title);
+    const opacity = target.layerOpacity[title] ?? original.opacity;
+    if (layer && layer.opacity !== opacity) layerOpacity[title] = opacity;
+  });
+  if (Object.keys(layerOpacity).length > 0) {
+    diffSlide.layerOpacity = layerOpacity;
+  }
+
+  // Effects: apply changed slide effects, restore the original where no slide sets one any more
+  const layerEffect = {};
+  Object.entries(target.layerEffect).forEach(([title, effect]) => {
+    if (applied.layerEffect[title] !== toEffectString(effect)) layerEffect[title] = effect;
+  });
+  Object.keys(applied.layerEffect)
+    .filter((title) => !(title in target.layerEffect))
+    .forEach((title) => {
+      const layer = findLayer(mapView, title);
+      if (layer) layer.effect = baseline[title]?.effect ?? null;
+      delete applied.layerEffect[title];
+    });
+  if (Object.keys(layerEffect).length > 0) {
+    diffSlide.layerEffect = layerEffect;
+    Object.entries(layerEffect).forEach(([title, effect]) => (applied.layerEffect[title] = toEffectString(effect)));
+  }
+
+  // Time slider: reconfigure only when the effective configuration changed
+  if (target.timeSlider && !sameJSON(target.timeSlider, applied.timeSlider)) {
+    diffSlide.timeSlider = target.timeSlider;
+    applied.timeSlider = target.timeSlider;
+  }
+
+  // Track renderers: restore the original where no slide sets one any more, apply changed ones
+  Object.keys(applied.trackRenderers)
+    .filter((name) => !(name in target.trackRenderers))
+    .forEach((name) => {
+      const layer = findLayer(mapView, name);
+      if (layer && baseline[name]) {
+        layer.timeInfo = baseline[name].timeInfo;
+        layer.trackInfo = baseline[name].trackInfo;
+      }
+      delete applied.trackRenderers[name];
+    });
+  const changedRenderers = Object.entries(target.trackRenderers)
+    .filter(([name, trackRenderer]) => !sameJSON(trackRenderer, applied.trackRenderers[name]));
+  changedRenderers.forEach(([name, trackRenderer]) => (applied.trackRenderers[name] = trackRenderer));
+  if (changedRenderers.length > 0) {
+    diffSlide.trackRenderer = changedRenderers.map(([, trackRenderer]) => trackRenderer);
+  }
+
+  // View: skipped when the view already shows the slide's viewpoint or camera
+  const view = unmatchedView(mapView, target);
+  if (view.viewpoint) {
+    diffSlide.viewpoint = view.viewpoint;
+  }
+  if (view.camera) {
+    diffSlide.camera = view.camera;
+  }
+
+  // Routes: fully drawn for earlier slides, hidden for later ones; the target slide's own route is left to routeReveal
+  const earlierRoutes = choreographyData.slice(0, slideIndex).map((slide) => slide.routeReveal).filter(Boolean);
+  const targetRouteId = choreographyData[slideIndex]?.routeReveal && routeId(choreographyData[slideIndex].routeReveal);
+  hideRoutes(mapView, [...earlierRoutes.map(routeId), targetRouteId]);
+  earlierRoutes
+    .filter((definition) => routeId(definition) !== targetRouteId)
+    .forEach((definition) => drawRoute(mapView, definition, 1));
+
+  // Track following: only while the target slide itself follows a track
+  if (!choreographyData[slideIndex]?.followTrack) {
+    stopFollowingTrack(mapView);
+  }
+
+  // Feature filters and highlights: only while the target slide itself sets them
+  if (!choreographyData[slideIndex]?.layerFilter) {
+    clearLayerFilters(mapView);
+  }
+  // Highlights are queried again only when the target slide's differ from those shown
+  const featureHighlight = choreographyData[slideIndex]?.featureHighlight ?? null;
+  if (!featureHighlight) {
+    clearFeatureHighlights(mapView);
+  } else if (!sameJSON(featureHighlight, applied.featureHighlight)) {
+    diffSlide.featureHighlight = featureHighlight;
+  }
+  applied.featureHighlight = featureHighlight;
+
+  // Custom keys: applied from the target slide itself
+  Object.entries(choreographyData[slideIndex] || {})
+    .filter(([key]) => !RECONCILED_KEYS.has(key) && typeof getChoreographyHandler(key)?.onSlide === "function")
+    .forEach(([key, value]) => (diffSlide[key] = value));
+
+  slideAnimation(diffSlide, mapView, timeSlider, embedded);
+
+  // Embedded, scrolling alone never reaches a slide's view after a jump or on the last slide,
+  // nor resets the time it ran on the slides passed through, so both start where the slide does
+  if (embedded && (view.viewpoint || view.camera)) {
+    cutToView(mapView, view);
+  }
+  if (embedded && timeSlider && target.timeSlider) {
+    applyTime(timeSlider, slideStartTime(choreographyData[slideIndex], target.timeSlider), target.timeSlider);
+  }
+  return diffSlide;
+}
@@ -0,0 +1,185 @@
+import { animationConfig } from "../config/animationConfig.js";
+import { createFollower } from "../utils/follower.js";
+import { createFrameLoop } from "../utils/frameLoop.js";
+import { isReducedMotion } from "../utils/motionPolicy.js";
+import { findLayer } from "../utils/layerLookup.js";
+const Viewpoint = await $arcgis.import("@arcgis/core/Viewpoint.js");
+const reactiveUtils = await $arcgis.import("@arcgis/core/core/reactiveUtils.js");
+
+// Keeps the view centred on the latest observation of one track while time moves,
+// whether the time slider plays (outside the embed) or scrolling scrubs it. Follows the
+// view's timeExtent, which the time slider keeps in sync, so both cases are handled alike.
+// A track's observations are queried once, ordered by time, and looked up per time change.
+
+/**
+ * Per view: the active followTrack definition, its time watch handle,
+ * its view follower and frame loop, and the observations of each queried track.
+ */
+const followStates = new WeakMap();
+
+const trackKey = ({ layerTitle, trackField, trackId }) => `${layerTitle}|${trackField}|${trackId}`;
+
+function getFollowState(mapView) {
+  if (!followStates.has(mapView)) {
+    followStates.set(mapView, { definition: null, watchHandle: null, follower: null, loop: null, tracks: new Map() });
+  }
+  return followStates.get(mapView);
+}
+
+// Builds a where clause matching the track id, quoting string ids.
+function trackWhereClause(trackField, trackId) {
+  const value = typeof trackId === "number" ? trackId : `'${String(trackId).replace(/'/g, "''")}'`;
+  return `${trackField} = ${value}`;
+}
+
+/**
+ * Queries every observation of a track in the view's spatial reference, ordered by time.
+ * Resolves to [{ time, x, y }], cached per layer, field and track id.
+ */
+function loadTrack(mapView, definition) {
+  const { tracks } = getFollowState(mapView);
+  const key = trackKey(definition);
+  if (!tracks.has(key)) {
+    const request = (async () => {
+      const layer = findLayer(mapView, definition.layerTitle);
+      if (!layer?.queryFeatures) throw new Error(`No queryable layer titled "${definition.layerTitle}".`);
+      await layer.load();
+      const timeField = layer.timeInfo?.startField;
+      if (!timeField) throw new Error(`Layer "${definition.layerTitle}" is not time-aware.`);
+
+      const { features } = await layer.queryFeatures({
+        where: trackWhereClause(definition.trackField, definition.trackId),
+        outFields: [timeField],
+        orderByFields: [`${timeField} ASC`],
+        returnGeometry: true,
+        outSpatialReference: mapView.spatialReference,
+      });
+      return features
+        .filter((feature) => feature.geometry)
+        .map((feature) => ({ time: new Date(feature.attributes[timeField]).getTime(), x: feature.geometry.x, y: feature.geometry.y }));
+    })();
+    request.catch((error) => {
+      tracks.delete(key);
+      console.error("Failed to load track to follow:", error);
+    });
+    tracks.set(key, request);
+  }
+  return tracks.get(key);
+}
+
+// Returns the index of the last observation at or before the time (binary search), or -1.
+function findLatestObservation(observations, time) {
+  let low = 0;
+  let high = observations.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (observations[middle].time <= time) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Returns the view state centred on an observation, shifted ahead along the direction
+ * of travel (from the previous observation) by lead times the view's width at the follow scale.
+ */
+function followViewState(mapView, observations, index, definition) {
+  const latest = observations[index];
+  const previous = observations[index - 1];
+  const scale = definition.scale ?? mapView.scale;
+  let { x, y } = latest;
+
+  const lead = definition.lead ?? 0;
+  if (lead !== 0 && previous && mapView.extent) {
+    const dx = latest.x - previous.x;
+    const dy = latest.y - previous.y;
+    const length = Math.hypot(dx, dy);
+    if (length > 0) {
+      const width = mapView.extent.width * (scale / mapView.scale);
+      x += (dx / length) * lead * width;
+      y += (dy / length) * lead * width;
+    }
+  }
+  return { x, y, scale };
+}
+
+// Blends position linearly and scale geometrically, so zooming feels even at every scale.
+function blendViewStates(current, target, fraction) {
+  return {
+    x: current.x + (target.x - current.x) * fraction,
+    y: current.y + (target.y - current.y) * fraction,
+    scale: current.scale * Math.pow(target.scale / current.scale, fraction),
+  };
+}
+
+function viewStatesSettled(current, target) {
+  const tolerance = target.scale * 1e-4;
+  return Math.abs(current.x - target.x) < tolerance
+    && Math.abs(current.y - target.y) < tolerance
+    && Math.abs(current.scale / target.scale - 1) < 1e-3;
+}
+
+// Centres the view on the latest observation at the view's current time.
+async function updateFollow(mapView, state, definition) {
+  const end = mapView.timeExtent?.end;
+  if (!end) return;
+
+  const observations = await loadTrack(mapView, definition).catch(() => null);
+  if (!observations || state.definition !== definition) return;
+
+  const index = findLatestObservation(observations, end.getTime());
+  if (index < 0) return;
+
+  state.follower.setTarget(followViewState(mapView, observations, index, definition));
+  state.loop.request();
+}
+
+/**
+ * Starts following the track described by definition ({ layerTitle, trackField, trackId,
+ * scale, lead, smoothing }), replacing any track already followed on the view.
+ * Smoothing (0–1) defaults to the configured scrollSmoothing, and is off under reduced motion.
+ */
+export function startFollowingTrack(mapView, definition) {
+  const state = getFollowState(mapView);
+  if (JSON.stringify(state.definition) === JSON.stringify(definition)) return;
+
+  stopFollowingTrack(mapView);
+  state.definition = definition;
+  state.follower = createFollower({
+    smoothing: isReducedMotion() ? 0 : definition.smoothing ?? animationConfig.scrollSmoothing ?? 0,
+    blend: blendViewStates,
+    isSettled: viewStatesSettled,
+    apply: ({ x, y, scale }) => {
+      mapView.viewpoint = Viewpoint.fromJSON({
+        targetGeometry: { x, y, spatialReference: mapView.spatialReference.toJSON() },
+        scale,
+        rotation: mapView.rotation ?? 0,
+      });
+    },
+  });
+  state.loop = createFrameLoop(() => state.follower.step());
+  state.watchHandle = reactiveUtils.watch(
+    () => mapView.timeExtent,
+    () => updateFollow(mapView, state, definition),
+    { initial: true }
+  );
+}
+
+/**
+ * Stops following a track on the view, leaving the view where it is.
+ */
+export function stopFollowingTrack(mapView) {
+  if (!followStates.has(mapView)) return;
+  const state = followStates.get(mapView);
+  state.watchHandle?.remove();
+  state.loop?.cancel();
+  state.definition = null;
+  state.watchHandle = null;
+  state.follower = null;
+  state.loop = null;
+}
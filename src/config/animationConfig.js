@@ -1,11 +1,22 @@
 // config object to hold all variables
 export const animationConfig = {
   storyId: '4ae38ef3a93148ddb00672b719bacf39',
-  mapId: 'c781cac63dd74bb8a97df50aabb7adf5',
+  mapId: 'c781cac63dd74bb8a97df50aabb7adf5', // web map, or web scene when viewType is 'scene'
+  viewType: 'map', // 'map' for a 2D arcgis-map, 'scene' for a 3D arcgis-scene
   mapCenter: '-83.240763, 41.996520',
   mapZoom: '4',
   nodeSelector: '#n-mt8npi',
+  hostAdapter: 'storymaps', // 'storymaps' for a script-embedded StoryMap, 'sections' for a plain page with data-slide sections
   choreographyPath: '../data/mapChoreography.json',
-  debugMode: true,
+  choreographies: {}, // choreography paths by id, for maps told which choreography to load by the story
+  sidecars: [], // [{ nodeSelector, hostAdapter, choreography }] to animate several sidecars; replaces nodeSelector when set
+  playbackSlideDuration: 5, // seconds each slide lasts in standalone playback, unless the slide sets its own duration
+  reducedMotion: 'auto', // 'auto' follows the reader's prefers-reduced-motion setting; true or false overrides it
+  prefetchSlides: 2, // upcoming slides whose layers are drawn and raster basemap tiles fetched ahead of the reader
+  loadingIndicator: true, // show a loading indicator while the layers a slide turns on are still drawing
+  loadingHold: 0, // ms to hold a slide whose layers are still drawing before applying it anyway; 0 applies it at once
+  scrollSmoothing: 0, // 0 applies scroll updates directly; up to 1 trails the scroll target more smoothly
+  allowedOrigins: [], // origins allowed to exchange messages between story and map; empty allows only the page's own origin
+  debugMode: false, // log to the console and show choreography validation issues over the map; keep off in published stories
   disableMapNav: true
 };
\ No newline at end of file
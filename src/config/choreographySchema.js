@@ -0,0 +1,361 @@
+// Schema describing the structure of mapChoreography.json.
+// Uses a small subset of JSON Schema (type, properties, required, enum, items,
+// minimum, maximum, exclusiveMinimum, format) understood by choreographyValidator.js.
+// Unknown properties are reported as warnings rather than errors so that
+// experimental keys do not block a story from loading. additionalProperties may
+// also be a schema, which then applies to every property not listed.
+
+const spatialReference = {
+  type: "object",
+  description: "Spatial reference of the viewpoint geometry.",
+  properties: {
+    wkid: { type: "integer" },
+    latestWkid: { type: "integer" },
+  },
+  required: ["wkid"],
+};
+
+const extent = {
+  type: "object",
+  description: "Extent the camera frames, interpolated corner by corner during scroll.",
+  properties: {
+    spatialReference,
+    xmin: { type: "number" },
+    ymin: { type: "number" },
+    xmax: { type: "number" },
+    ymax: { type: "number" },
+  },
+  required: ["spatialReference", "xmin", "ymin", "xmax", "ymax"],
+};
+
+const viewpoint = {
+  type: "object",
+  description: "Camera position for the slide (ArcGIS Viewpoint JSON).",
+  properties: {
+    rotation: { type: "number" },
+    scale: { type: "number", exclusiveMinimum: 0 },
+    targetGeometry: extent,
+  },
+  required: ["rotation", "scale", "targetGeometry"],
+};
+
+const camera = {
+  type: "object",
+  description: "3D SceneView camera for the slide, used when the view is an arcgis-scene.",
+  properties: {
+    position: {
+      type: "object",
+      properties: {
+        spatialReference,
+        x: { type: "number" },
+        y: { type: "number" },
+        z: { type: "number" },
+      },
+      required: ["spatialReference", "x", "y", "z"],
+    },
+    heading: { type: "number" },
+    tilt: { type: "number", minimum: 0, maximum: 180 },
+    fov: { type: "number", exclusiveMinimum: 0, maximum: 170 },
+  },
+  required: ["position"],
+};
+
+const timeUnits = ["milliseconds", "seconds", "minutes", "hours", "days", "weeks", "months", "years"];
+
+const timeSlider = {
+  type: "object",
+  description: "Time extent, step size and unit the time slider covers on this slide.",
+  properties: {
+    timeSliderStart: { type: "string", format: "date-time" },
+    timeSliderEnd: { type: "string", format: "date-time" },
+    timeSliderUnit: { type: "string", enum: timeUnits },
+    timeSliderStep: { type: "number", exclusiveMinimum: 0 },
+    timeSliderMode: {
+      type: "string",
+      enum: ["cumulative", "window", "instant"],
+      description: "Extent shown around the current time: everything up to it, a window leading up to it, or the time alone.",
+    },
+    timeSliderWindow: { type: "number", exclusiveMinimum: 0, description: "Window length in timeSliderUnit for the window mode; one step by default." },
+    timeSliderTimeZone: { type: "string", format: "time-zone", description: "IANA time zone calendar units are counted in; UTC by default." },
+    timeSliderToNext: { type: "boolean", description: "Interpolate toward the next slide's start instead of this slide's end while scrolling." },
+  },
+  required: ["timeSliderStart", "timeSliderEnd", "timeSliderUnit", "timeSliderStep"],
+};
+
+const layerVisibility = {
+  type: "object",
+  description: "Layer ids or titles to show and hide when the slide is entered, including layers inside group layers.",
+  properties: {
+    layersOn: { type: "array", items: { type: "string" } },
+    layersOff: { type: "array", items: { type: "string" } },
+  },
+};
+
+const trackLayerRenderer = {
+  type: "object",
+  description: "Track renderer applied to a time-aware point layer. Uses the slide's timeSlider interval unless timeInterval is set.",
+  properties: {
+    trackLayerName: { type: "string" },
+    trackFieldName: { type: "string" },
+    trackInfo: { type: "object" },
+    timeInterval: {
+      type: "object",
+      description: "Time interval of this track layer, e.g. { \"unit\": \"days\", \"value\": 1 }.",
+      properties: {
+        unit: { type: "string", enum: timeUnits },
+        value: { type: "number", exclusiveMinimum: 0 },
+      },
+      required: ["unit", "value"],
+      additionalProperties: false,
+    },
+    hardReset: { type: "boolean", description: "Replace the layer with a clone instead of patching it in place." },
+  },
+  required: ["trackLayerName", "trackFieldName", "trackInfo"],
+};
+
+const trackRenderer = {
+  ...trackLayerRenderer,
+  type: ["object", "array"],
+  description: "One track renderer, or an array with one per track layer.",
+  minItems: 1,
+  items: trackLayerRenderer,
+};
+
+const layerOpacity = {
+  type: "object",
+  description: "Opacity (0–1) keyed by layer id or title.",
+  additionalProperties: { type: "number", minimum: 0, maximum: 1 },
+};
+
+const effectStrengths = {
+  type: "object",
+  properties: {
+    "blur": { type: "number", minimum: 0 },
+    "brightness": { type: "number", minimum: 0 },
+    "contrast": { type: "number", minimum: 0 },
+    "grayscale": { type: "number", minimum: 0, maximum: 1 },
+    "hue-rotate": { type: "number" },
+    "invert": { type: "number", minimum: 0, maximum: 1 },
+    "opacity": { type: "number", minimum: 0, maximum: 1 },
+    "saturate": { type: "number", minimum: 0 },
+    "sepia": { type: "number", minimum: 0, maximum: 1 },
+  },
+  additionalProperties: false,
+};
+
+const layerEffect = {
+  type: "object",
+  description: "Effect strengths keyed by layer id or title, e.g. { \"Imagery\": { \"blur\": 4, \"grayscale\": 1 } }.",
+  additionalProperties: effectStrengths,
+};
+
+const keyframe = {
+  type: "object",
+  description: "State at a progress stop within the slide's panel. Any subset of viewpoint, camera, time and layerOpacity may be set.",
+  properties: {
+    progress: { type: "number", minimum: 0, maximum: 1 },
+    viewpoint,
+    camera,
+    time: { type: "string", format: "date-time" },
+    layerOpacity,
+    easing: { format: "easing" },
+  },
+  required: ["progress"],
+  additionalProperties: false,
+};
+
+const keyframes = {
+  type: "array",
+  description: "Ordered keyframes interpolated as the reader scrolls through the slide's panel.",
+  minItems: 1,
+  items: keyframe,
+};
+
+const featureNavigation = {
+  type: "object",
+  description: "Maps attribute values of clicked features to the slide the story should scroll to.",
+  properties: {
+    layerTitle: { type: "string" },
+    field: { type: "string" },
+    targets: {
+      type: "object",
+      description: "Target slide index keyed by attribute value.",
+      additionalProperties: { type: "integer", minimum: 0 },
+    },
+  },
+  required: ["layerTitle", "field", "targets"],
+  additionalProperties: false,
+};
+
+const color = {
+  type: "array",
+  description: "RGB or RGBA color, e.g. [226, 119, 40] or [226, 119, 40, 0.8].",
+  minItems: 3,
+  items: { type: "number", minimum: 0, maximum: 255 },
+};
+
+const routeReveal = {
+  type: "object",
+  description: "Draws a line layer's features progressively by geodesic length as the reader scrolls through the slide.",
+  properties: {
+    layerTitle: { type: "string" },
+    where: { type: "string", description: "SQL where clause selecting the route's features; all features by default." },
+    color,
+    width: { type: "number", minimum: 0 },
+    marker: {
+      type: "object",
+      description: "Marker moving with the head of the drawn line; {} for the default marker.",
+      properties: { color, size: { type: "number", minimum: 0 } },
+      additionalProperties: false,
+    },
+    follow: {
+      type: "object",
+      description: "Keeps the view centred on the head of the drawn line; {} to keep the current scale.",
+      properties: { scale: { type: "number", exclusiveMinimum: 0 } },
+      additionalProperties: false,
+    },
+  },
+  required: ["layerTitle"],
+  additionalProperties: false,
+};
+
+const followTrack = {
+  type: "object",
+  description: "Keeps the view centred on the latest observation of one track at the time slider's current time.",
+  properties: {
+    layerTitle: { type: "string" },
+    trackField: { type: "string", description: "Field identifying the track, usually the trackRenderer's trackFieldName." },
+    trackId: { type: ["string", "number"] },
+    scale: { type: "number", exclusiveMinimum: 0, description: "Scale to follow at; the current scale by default." },
+    lead: { type: "number", minimum: -1, maximum: 1, description: "Offset ahead of the observation along its direction of travel, as a fraction of the view's width." },
+    smoothing: { type: "number", minimum: 0, maximum: 0.99, description: "0 follows directly; closer to 1 trails more. Defaults to scrollSmoothing." },
+  },
+  required: ["layerTitle", "trackField", "trackId"],
+  additionalProperties: false,
+};
+
+const featureFilter = {
+  type: "object",
+  description: "Client-side filter (ArcGIS FeatureFilter JSON) selecting features by attributes, object ids or location.",
+  properties: {
+    where: { type: "string" },
+    objectIds: { type: "array", items: { type: "integer" } },
+    geometry: { type: "object", description: "Geometry JSON, including its type." },
+    spatialRelationship: { type: "string", enum: ["intersects", "contains", "crosses", "disjoint", "envelope-intersects", "overlaps", "touches", "within"] },
+    distance: { type: "number", minimum: 0 },
+    units: { type: "string", enum: ["feet", "miles", "nautical-miles", "us-feet", "meters", "kilometers"] },
+  },
+  additionalProperties: false,
+};
+
+const featureEffect = {
+  type: "object",
+  description: "Effects for the features the filter includes and excludes, as effect strengths or effect strings.",
+  properties: {
+    filter: featureFilter,
+    includedEffect: { type: ["object", "string"] },
+    excludedEffect: { type: ["object", "string"] },
+    excludedLabelsVisible: { type: "boolean" },
+  },
+  required: ["filter"],
+  additionalProperties: false,
+};
+
+const layerFilter = {
+  type: "object",
+  description: "Feature filters keyed by layer id or title, lasting for the slide. Layers are restored when a slide without them is reached.",
+  additionalProperties: {
+    type: "object",
+    properties: {
+      definitionExpression: { type: "string", description: "SQL where clause applied by the server." },
+      featureFilter,
+      featureEffect,
+    },
+    additionalProperties: false,
+  },
+};
+
+const featureHighlightQuery = {
+  type: "object",
+  description: "Highlights the features of a layer that match the where clause, lasting for the slide.",
+  properties: {
+    layerTitle: { type: "string", description: "Id or title of the layer." },
+    where: { type: "string", description: "SQL where clause selecting the features; all features by default." },
+    popup: { type: "boolean", description: "Open a popup on the first matching feature." },
+  },
+  required: ["layerTitle"],
+  additionalProperties: false,
+};
+
+const featureHighlight = {
+  ...featureHighlightQuery,
+  type: ["object", "array"],
+  description: "One highlight query, or an array of them.",
+  minItems: 1,
+  items: featureHighlightQuery,
+};
+
+const transitionOverride = {
+  type: "object",
+  properties: {
+    easing: { format: "easing" },
+    window: { type: "array", format: "progress-window", items: { type: "number", minimum: 0, maximum: 1 } },
+    path: { type: "string", enum: ["linear", "geodesic"] },
+  },
+  additionalProperties: false,
+};
+
+const description = {
+  type: "string",
+  description: "Announced to screen readers when the slide is reached.",
+};
+
+const duration = {
+  type: "number",
+  exclusiveMinimum: 0,
+  description: "Seconds the slide lasts in standalone playback on the map page.",
+};
+
+const transition = {
+  type: "object",
+  description: "Easing and progress window for the transition out of this slide, optionally overridden per choreography key.",
+  properties: {
+    ...transitionOverride.properties,
+    viewpoint: transitionOverride,
+    camera: transitionOverride,
+    timeSlider: transitionOverride,
+    layerOpacity: transitionOverride,
+    layerEffect: transitionOverride,
+    routeReveal: transitionOverride,
+  },
+  additionalProperties: false,
+};
+
+export const slideSchema = {
+  type: "object",
+  properties: {
+    viewpoint,
+    camera,
+    timeSlider,
+    layerVisibility,
+    layerOpacity,
+    layerEffect,
+    trackRenderer,
+    transition,
+    keyframes,
+    featureNavigation,
+    routeReveal,
+    followTrack,
+    layerFilter,
+    featureHighlight,
+    duration,
+    description,
+  },
+  additionalProperties: false,
+};
+
+export const choreographySchema = {
+  type: "array",
+  minItems: 1,
+  items: slideSchema,
+};
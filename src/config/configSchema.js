@@ -0,0 +1,56 @@
+// Schema describing the animation configuration, in the same JSON Schema subset as
+// choreographySchema.js. Used to validate configuration resolved at runtime.
+
+export const animationConfigSchema = {
+  type: "object",
+  properties: {
+    storyId: { type: "string" },
+    mapId: { type: "string" },
+    viewType: { type: "string", enum: ["map", "scene"] },
+    mapCenter: { type: "string", description: "Longitude and latitude, e.g. '-83.24, 41.99'." },
+    mapZoom: { type: ["string", "number"] },
+    nodeSelector: { type: "string" },
+    hostAdapter: { type: "string", enum: ["storymaps", "sections"] },
+    choreographyPath: { type: "string" },
+    choreographies: {
+      type: "object",
+      description: "Choreography paths by id, for maps told which choreography to load in the handshake.",
+      additionalProperties: { type: "string" },
+    },
+    sidecars: {
+      type: "array",
+      description: "Sidecars to animate, each with its own map; replaces nodeSelector when set.",
+      items: {
+        type: "object",
+        required: ["nodeSelector"],
+        properties: {
+          nodeSelector: { type: "string" },
+          hostAdapter: { type: "string", enum: ["storymaps", "sections"] },
+          choreography: { type: "string" },
+        },
+        additionalProperties: false,
+      },
+    },
+    playbackSlideDuration: { type: "number", exclusiveMinimum: 0 },
+    reducedMotion: { type: ["string", "boolean"], enum: ["auto", true, false] },
+    prefetchSlides: { type: "integer", minimum: 0 },
+    loadingIndicator: { type: "boolean" },
+    loadingHold: { type: "number", minimum: 0 },
+    scrollSmoothing: { type: "number", minimum: 0, maximum: 1 },
+    allowedOrigins: { type: "array", items: { type: "string" } },
+    debugMode: { type: "boolean" },
+    disableMapNav: { type: "boolean" },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Map settings a choreography file may carry when it is an object
+ * ({ mapId, center, zoom, viewType, slides }), keyed by the configuration key they set.
+ */
+export const choreographyMapSettings = {
+  mapId: "mapId",
+  center: "mapCenter",
+  zoom: "mapZoom",
+  viewType: "viewType",
+};
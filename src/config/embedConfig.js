@@ -1,4 +1,4 @@
-import { animationConfig } from '../../src/config/animationConfig.js';
+import { resolveAnimationConfig } from './runtimeConfig.js';
 
 function generateScriptConfig(storyId) {
   window.storyMapsEmbedConfig = {
@@ -14,5 +14,6 @@ function createScriptedEmbed() {
   document.body.appendChild(script);
 }
 
+const animationConfig = await resolveAnimationConfig();
 generateScriptConfig(animationConfig.storyId);
 createScriptedEmbed();
\ No newline at end of file
@@ -0,0 +1,148 @@
+import { animationConfig } from "./animationConfig.js";
+import { animationConfigSchema, choreographyMapSettings } from "./configSchema.js";
+import { validateAgainstSchema } from "../validation/choreographyValidator.js";
+
+// Resolves animationConfig at runtime, so one hosted map page and listener script can
+// serve many stories. Sources, from lowest to highest precedence:
+//   1. the defaults in animationConfig.js
+//   2. map settings carried by the choreography file (map page only, see applyChoreographySettings)
+//   3. a remote JSON config, named by a data-config attribute or a ?config= query parameter
+//   4. an inline JSON config: <script type="application/json" id="scroll-story-config">
+//   5. data-* attributes on the host element, marked with data-scroll-story
+//      (e.g. data-story-id, data-node-selector, data-choreography-path)
+//   6. URL query parameters named after the keys (e.g. ?mapId=...&choreographyPath=...)
+// Every value is checked against animationConfigSchema; invalid values are logged and
+// ignored, leaving the value from a lower source in place. allowedOrigins is only read
+// from sources the page author controls (not the query string), and a ?config= URL must
+// share the page's origin, so a crafted link cannot open the map to other origins.
+
+const INLINE_CONFIG_ID = "scroll-story-config";
+const HOST_SELECTOR = "[data-scroll-story]";
+const PAGE_ONLY_KEYS = new Set(["allowedOrigins"]);
+
+let runtimeOverrides = null;
+let resolving = null;
+
+// Converts a string from a query parameter or data-* attribute to the type the schema expects.
+function coerceValue(value, schema) {
+  const types = [schema.type].flat();
+  if (types.includes("boolean") && ["true", "false", ""].includes(value)) return value !== "false";
+  if (types.includes("array")) return value.split(",").map((item) => item.trim()).filter(Boolean);
+  if (types.includes("number") && !types.includes("string")) {
+    const number = Number(value);
+    return value.trim() === "" || isNaN(number) ? value : number;
+  }
+  return value;
+}
+
+/**
+ * Keeps the entries of a config source that pass the schema, logging the rest.
+ * String sources are coerced first; page-only keys are dropped from untrusted sources.
+ */
+function validateSource(name, values, { coerce = false, trusted = true } = {}) {
+  const accepted = {};
+  Object.entries(values).forEach(([key, raw]) => {
+    const schema = animationConfigSchema.properties[key];
+    if (!schema) {
+      console.warn(`Config from ${name}: unknown key "${key}" will be ignored.`);
+      return;
+    }
+    if (!trusted && PAGE_ONLY_KEYS.has(key)) {
+      console.warn(`Config from ${name}: "${key}" can only be set by the page and will be ignored.`);
+      return;
+    }
+    const value = coerce ? coerceValue(raw, schema) : raw;
+    const report = validateAgainstSchema({ [key]: value }, animationConfigSchema);
+    if (report.errors.length > 0) {
+      report.errors.forEach(({ path, message }) => console.error(`Config from ${name}: ${path}: ${message}`));
+      return;
+    }
+    accepted[key] = value;
+  });
+  return accepted;
+}
+
+// Reads the query parameters named after config keys; other parameters (such as ?author) are left alone.
+function readQueryConfig(params) {
+  return Object.fromEntries([...params].filter(([key]) => key in animationConfigSchema.properties));
+}
+
+// Reads the host element's data-* attributes, except the data-scroll-story marker and data-config.
+function readDataConfig(host) {
+  if (!host) return {};
+  const { scrollStory, config, ...values } = host.dataset;
+  return values;
+}
+
+function readInlineConfig() {
+  const script = document.getElementById(INLINE_CONFIG_ID);
+  if (!script) return {};
+  try {
+    return JSON.parse(script.textContent);
+  } catch (error) {
+    console.error("Failed to parse inline config:", error);
+    return {};
+  }
+}
+
+/**
+ * Fetches the remote JSON config named by the host element's data-config attribute or,
+ * failing that, a same-origin ?config= query parameter. Resolves to { values, trusted },
+ * where values is {} when there is none and trusted is false for a query-named file.
+ */
+async function readRemoteConfig(host, params) {
+  const fromPage = host?.dataset.config;
+  const url = fromPage ?? params.get("config");
+  if (!url) return { values: {}, trusted: true };
+
+  const resolved = new URL(url, window.location.href);
+  if (!fromPage && resolved.origin !== window.location.origin) {
+    console.error(`Config: ignoring ?config=${url}, which is not on this page's origin.`);
+    return { values: {}, trusted: true };
+  }
+  try {
+    const response = await fetch(resolved);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+    return { values: await response.json(), trusted: Boolean(fromPage) };
+  } catch (error) {
+    console.error("Failed to load remote config:", error);
+    return { values: {}, trusted: true };
+  }
+}
+
+/**
+ * Resolves the runtime configuration once per page and applies it over the defaults in
+ * animationConfig, which every module keeps reading. Resolves to animationConfig.
+ */
+export function resolveAnimationConfig() {
+  resolving ??= (async () => {
+    const params = new URLSearchParams(window.location.search);
+    const host = document.querySelector(HOST_SELECTOR);
+    const remote = await readRemoteConfig(host, params);
+
+    runtimeOverrides = {
+      ...validateSource("remote config", remote.values, { trusted: remote.trusted }),
+      ...validateSource("inline config", readInlineConfig()),
+      ...validateSource("data attributes", readDataConfig(host), { coerce: true }),
+      ...validateSource("query parameters", readQueryConfig(params), { coerce: true, trusted: false }),
+    };
+    return Object.assign(animationConfig, runtimeOverrides);
+  })();
+  return resolving;
+}
+
+/**
+ * Applies the map settings a choreography file carries ({ mapId, center, zoom, viewType })
+ * beneath the runtime configuration: they replace the animationConfig.js defaults,
+ * but a value set by the page, a config file or the URL still wins.
+ */
+export function applyChoreographySettings(choreographyDocument) {
+  const settings = Object.fromEntries(
+    Object.entries(choreographyMapSettings)
+      .filter(([field]) => choreographyDocument[field] !== undefined)
+      .map(([field, key]) => [key, choreographyDocument[field]])
+  );
+  Object.assign(animationConfig, validateSource("choreography", settings), runtimeOverrides);
+}
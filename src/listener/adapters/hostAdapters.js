@@ -0,0 +1,26 @@
+import { createStoryMapsAdapter } from './storyMapsAdapter.js';
+import { createSlideSectionAdapter } from './slideSectionAdapter.js';
+
+// Host adapters describe how the scroll listener finds its way around the page hosting the map.
+// Every adapter is created for a root selector and provides:
+//   waitForRoot(callback)                        calls back with the root element once it exists
+//   observeDocking(root, onChange)               calls onChange(docked) on attach and whenever it may change
+//   getPanels(root)                              the narrative panel elements, in slide order
+//   measurePanelBounds(root)                     [{ panelStartScroll, panelEndScroll }] per panel
+//   findIframe(root)                             the map iframe, or null while it is not in the page
+//   observeCurrentSlide(root, iframe, onSlide)   calls onSlide(index) on slide changes, returns a function that stops observing
+export const hostAdapters = {
+  storymaps: createStoryMapsAdapter,
+  sections: createSlideSectionAdapter,
+};
+
+/**
+ * Creates the host adapter registered under the given name for the root selector.
+ */
+export function createHostAdapter(name, nodeSelector) {
+  const createAdapter = hostAdapters[name];
+  if (!createAdapter) {
+    throw new Error(`Unknown host adapter "${name}". Expected one of: ${Object.keys(hostAdapters).join(", ")}.`);
+  }
+  return createAdapter(nodeSelector);
+}
@@ -0,0 +1,103 @@
+// Host adapter for plain HTML scrollytelling pages. The root element holds the map iframe
+// (typically in a sticky container) and one element per slide marked with a data-slide
+// attribute, in slide order:
+//   <div id="story" data-trigger="0.5">
+//     <div class="sticky"><iframe src="map/index.html"></iframe></div>
+//     <section data-slide>…</section>
+//     <section data-slide>…</section>
+//   </div>
+// A slide is current once its top crosses the trigger line, a fraction of the viewport
+// height from the top (data-trigger on the root, 0.5 by default). The root counts as docked
+// while it covers the whole viewport.
+
+const DEFAULT_TRIGGER = 0.5;
+
+// Returns the trigger line's distance from the top of the viewport, in pixels.
+function getTriggerOffset(root) {
+  const trigger = parseFloat(root.dataset.trigger);
+  return window.innerHeight * (Number.isFinite(trigger) ? trigger : DEFAULT_TRIGGER);
+}
+
+// Calls listener on scroll and resize, returning a function that removes it.
+function onViewportChange(listener) {
+  window.addEventListener("scroll", listener, { passive: true });
+  window.addEventListener("resize", listener);
+  return () => {
+    window.removeEventListener("scroll", listener);
+    window.removeEventListener("resize", listener);
+  };
+}
+
+/**
+ * Creates the data-slide host adapter for the page element matching nodeSelector.
+ */
+export function createSlideSectionAdapter(nodeSelector) {
+  return {
+    name: "sections",
+
+    waitForRoot(callback) {
+      if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", () => this.waitForRoot(callback), { once: true });
+        return;
+      }
+      const root = document.querySelector(nodeSelector);
+      if (root) {
+        callback(root);
+      } else {
+        console.error(`No element matches ${nodeSelector}; scroll tracking is disabled.`);
+      }
+    },
+
+    observeDocking(root, onChange) {
+      const update = () => {
+        const rect = root.getBoundingClientRect();
+        onChange(rect.top <= 0 && rect.bottom >= window.innerHeight);
+      };
+      onViewportChange(update);
+      update();
+    },
+
+    getPanels(root) {
+      return Array.from(root.querySelectorAll("[data-slide]"));
+    },
+
+    // Each slide runs from its top crossing the trigger line to the next slide's top
+    // crossing it; the last slide ends when its bottom crosses the line.
+    measurePanelBounds(root) {
+      const triggerOffset = getTriggerOffset(root);
+      const panels = this.getPanels(root);
+      const starts = panels.map((panel) => panel.getBoundingClientRect().top + window.scrollY - triggerOffset);
+      return panels.map((panel, index) => {
+        const panelStartScroll = starts[index];
+        const panelEndScroll = index < panels.length - 1
+          ? starts[index + 1]
+          : panel.getBoundingClientRect().bottom + window.scrollY - triggerOffset;
+        return { panelStartScroll, panelEndScroll: Math.max(panelEndScroll, panelStartScroll + 1) };
+      });
+    },
+
+    findIframe(root) {
+      return root.querySelector("iframe");
+    },
+
+    // The current slide is the last one whose top has crossed the trigger line.
+    observeCurrentSlide(root, iframe, onSlide) {
+      let currentSlide = null;
+      const update = () => {
+        const triggerOffset = getTriggerOffset(root);
+        const panels = this.getPanels(root);
+        let slide = 0;
+        panels.forEach((panel, index) => {
+          if (panel.getBoundingClientRect().top <= triggerOffset) slide = index;
+        });
+        if (slide !== currentSlide) {
+          currentSlide = slide;
+          onSlide(slide);
+        }
+      };
+      const stop = onViewportChange(update);
+      update();
+      return stop;
+    },
+  };
+}
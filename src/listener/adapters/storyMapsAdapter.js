@@ -0,0 +1,87 @@
+import { waitForElement } from '../../utils/dom.js';
+
+// Host adapter for stories embedded with the ArcGIS StoryMaps script embed.
+// Relies on StoryMaps markup: the sidecar's main container gets a "docked" class,
+// narrative panels are div.immersive-narrative-panel with "first"/"last" classes,
+// and the story moves to another slide by changing the fragment of the map iframe's src.
+
+// Calculates the effective height of a narrative panel element,
+// adjusting for top margin if it's the first panel,
+// bottom padding if it's the last panel,
+// or both top and bottom margins for other panels.
+function getPanelHeight(panel) {
+  return panel.classList.contains("first")
+    ? panel.offsetHeight - parseFloat(getComputedStyle(panel).marginTop)
+    : panel.classList.contains("last")
+    ? panel.offsetHeight - parseFloat(getComputedStyle(panel).paddingBottom)
+    : panel.offsetHeight +
+      parseFloat(getComputedStyle(panel).marginBottom) +
+      parseFloat(getComputedStyle(panel).marginTop);
+}
+
+// Returns the scroll position at which the sidecar docks, taken from its layout position
+// in the document rather than from the scroll position when docking was observed,
+// so it is correct after reloads, deep links and entering the sidecar from below.
+function getDockStartScroll(root) {
+  return root.getBoundingClientRect().top + window.scrollY;
+}
+
+// Parses the slide number from the fragment (after '#') of the iframe's src, 0 when absent.
+function getSlideFromSrc(iframe) {
+  const parts = (iframe.getAttribute("src") || "").split("#");
+  const slideNumber = parseInt(parts.length > 1 ? parts.pop() : "0", 10);
+  return isNaN(slideNumber) ? 0 : slideNumber;
+}
+
+/**
+ * Creates the StoryMaps host adapter for the sidecar matching nodeSelector.
+ */
+export function createStoryMapsAdapter(nodeSelector) {
+  const dockTargetSelector = `${nodeSelector} > div > div[class*='jsx-'][class*='container'][class*='main']`;
+
+  return {
+    name: "storymaps",
+
+    waitForRoot(callback) {
+      waitForElement(nodeSelector, callback);
+    },
+
+    // Reports the docking state whenever the sidecar's main container gains or loses
+    // its "docked" class, and once on attach so a reload while docked is picked up.
+    observeDocking(root, onChange) {
+      waitForElement(dockTargetSelector, (target) => {
+        const update = () => onChange(target.classList.contains("docked"));
+        new MutationObserver(update).observe(target, { attributes: true, attributeFilter: ["class"] });
+        update();
+      });
+    },
+
+    // Only the panels of this sidecar, so several sidecars in one story are measured apart.
+    getPanels(root) {
+      return Array.from(root.querySelectorAll("div.immersive-narrative-panel"));
+    },
+
+    // Starts at the sidecar's dock position and accumulates panel heights,
+    // so each panel ends where the next one starts.
+    measurePanelBounds(root) {
+      let panelStartScroll = getDockStartScroll(root);
+      return this.getPanels(root).map((panel) => {
+        const panelEndScroll = panelStartScroll + getPanelHeight(panel);
+        const bounds = { panelStartScroll, panelEndScroll };
+        panelStartScroll = panelEndScroll;
+        return bounds;
+      });
+    },
+
+    findIframe(root) {
+      return root.querySelector("iframe");
+    },
+
+    // Follows the slide number in the iframe's src fragment.
+    observeCurrentSlide(root, iframe, onSlide) {
+      const observer = new MutationObserver(() => onSlide(getSlideFromSrc(iframe)));
+      observer.observe(iframe, { attributes: true, attributeFilter: ["src"] });
+      return () => observer.disconnect();
+    },
+  };
+}
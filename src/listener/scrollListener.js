@@ -1,11 +1,12 @@
 import { animationConfig } from '../config/animationConfig.js';
-// This sets shared state variables used across the scroll-driven story map
-let isDocked = false;
-let dockStartScroll = null;
+import { resolveAnimationConfig } from '../config/runtimeConfig.js';
+import { isOriginAllowed, parseMessage, postMessageTo } from '../protocol/messageProtocol.js';
+import { createHostAdapter } from './adapters/hostAdapters.js';
+import { isReducedMotion } from '../utils/motionPolicy.js';
 
-let lastScrollY = window.scrollY;
-let scrollDirection = "down"; // or 'up';
-let currentSlide = 0;
+// The map is greeted every HELLO_INTERVAL ms until it answers, for at most HELLO_MAX_ATTEMPTS tries
+const HELLO_INTERVAL = 250;
+const HELLO_MAX_ATTEMPTS = 120;
 
 
 // Set DEBUG to true to enable debug logging
@@ -17,58 +18,33 @@ function log(...args) {
   }
 }
 
-// --- Utility Functions ---
-// DOM readiness, panel height, scroll bounds...
-
-// Polls the DOM every 100ms until an element matching the selector is found,
-// then clears the interval and executes the callback with the found element.
-function waitForElement(selector, callback) {
-  const interval = setInterval(() => {
-    const element = document.querySelector(selector);
-    if (element) {
-      clearInterval(interval);
-      callback(element);
-    }
-  }, 100);
+// Every sidecar on the page is tracked by a listener of its own, holding its own state,
+// so a story can animate several sidecars, each with its own map and choreography.
+function createSidecarState(nodeSelector, hostAdapter, choreography) {
+  return {
+    nodeSelector,
+    choreography, // choreography id sent to the map in the handshake, if any
+    adapter: createHostAdapter(hostAdapter, nodeSelector), // describes the sidecar's docking, panels, slides and map iframe
+    isDocked: false,
+    panelBounds: [], // cached { panelStartScroll, panelEndScroll } for each narrative panel
+    currentSlide: 0,
+    mapConnection: null, // { iframe, origin, ready } for the embedded map once found
+    stopSlideObserver: null,
+  };
 }
 
-// Calculates the effective height of a narrative panel element,
-// adjusting for top margin if it's the first panel,
-// bottom padding if it's the last panel,
-// or both top and bottom margins for other panels.
-function getPanelHeight(panel) {
-  return panel.classList.contains("first")
-    ? panel.offsetHeight - parseFloat(getComputedStyle(panel).marginTop)
-    : panel.classList.contains("last")
-    ? panel.offsetHeight - parseFloat(getComputedStyle(panel).paddingBottom)
-    : panel.offsetHeight +
-      parseFloat(getComputedStyle(panel).marginBottom) +
-      parseFloat(getComputedStyle(panel).marginTop);
-}
-
-// Computes the scroll boundaries for the current slide panel.
-// Accumulates the height of all previous panels to determine the start scroll position,
-// then adds the current panel's height to get the end scroll position.
-function getPanelScrollBounds(panels, currentSlide) {
-  let panelStartScroll = dockStartScroll;
-
-  for (let i = 0; i < currentSlide; i++) {
-    panelStartScroll += getPanelHeight(panels[i]);
-  }
-
-  const panelHeight = getPanelHeight(panels[currentSlide]);
-  const panelEndScroll = panelStartScroll + panelHeight;
+// --- Utility Functions ---
 
-  return { panelStartScroll, panelEndScroll };
+// Measures the scroll boundaries of every narrative panel through the host adapter and caches them.
+function measurePanelBounds(sidecar, root) {
+  sidecar.panelBounds = sidecar.adapter.measurePanelBounds(root);
+  log(`[${sidecar.nodeSelector}] Measured panel bounds for`, sidecar.panelBounds.length, "panels");
 }
 
 // Calculates the scroll progress of the current panel as a normalized value between 0 and 1.
-// Uses the panel's scroll bounds to determine how far the user has scrolled within it.
-function getPanelProgress(panels, currentSlide, scrollY) {
-  const { panelStartScroll, panelEndScroll } = getPanelScrollBounds(
-    panels,
-    currentSlide
-  );
+// Uses the panel's cached scroll bounds to determine how far the user has scrolled within it.
+function getPanelProgress(sidecar, scrollY) {
+  const { panelStartScroll, panelEndScroll } = sidecar.panelBounds[sidecar.currentSlide];
   let progress =
     (scrollY - panelStartScroll) / (panelEndScroll - panelStartScroll);
   return Math.max(0, Math.min(1, progress));
@@ -76,137 +52,225 @@ function getPanelProgress(panels, currentSlide, scrollY) {
 
 // --- Observers ---
 
-// Sets up a MutationObserver to track changes to the iframe's 'src' attribute.
-// When the 'src' updates, it parses the URL fragment (after '#') to extract the slide number,
-// and updates the global `currentSlide` accordingly.
-const createIframeSrcObserver = (iframe) => {
-  return new MutationObserver(() => {
-    const newSrc = iframe.getAttribute("src") || "";
-    const parts = newSrc.split("#");
-    const slideNumber = parseInt(parts.length > 1 ? parts.pop() : "0", 10);
-    currentSlide = isNaN(slideNumber) ? 0 : slideNumber;
-    log("Updated current slide:", currentSlide);
+// Updates the sidecar's current slide when the host adapter reports a slide change
+// and tells the map about the new slide.
+function updateCurrentSlide(sidecar, slide) {
+  const previousSlide = sidecar.currentSlide;
+  sidecar.currentSlide = slide;
+  log(`[${sidecar.nodeSelector}] Updated current slide:`, sidecar.currentSlide);
+  if (sidecar.currentSlide !== previousSlide) {
+    sendToMap(sidecar, "slideChange", { slide: sidecar.currentSlide });
+  }
+}
+
+// Follows the docking state reported by the host adapter.
+// When the sidecar docks, scroll progress tracking begins, whichever direction
+// the reader entered from. Undocks pause the tracking.
+function setupDockingObserver(sidecar, root) {
+  sidecar.adapter.observeDocking(root, (currentlyDocked) => {
+    if (currentlyDocked && !sidecar.isDocked) {
+      sidecar.isDocked = true;
+      log(`[${sidecar.nodeSelector}] Docked: Starting scroll tracking.`);
+      sendProgress(sidecar);
+    }
+
+    if (!currentlyDocked && sidecar.isDocked) {
+      sidecar.isDocked = false;
+    }
+  });
+  log("Docking observer attached.");
+}
+
+// Keeps the cached panel bounds up to date. Bounds are measured once the root is found,
+// then remeasured (at most once per frame) when the window, page, root or a panel resizes,
+// when web fonts finish loading, or when panels are added or removed.
+function setupPanelMeasurement(sidecar, root) {
+  let frameRequested = false;
+  const scheduleMeasure = () => {
+    if (frameRequested) return;
+    frameRequested = true;
+    requestAnimationFrame(() => {
+      frameRequested = false;
+      measurePanelBounds(sidecar, root);
+    });
+  };
+
+  const resizeObserver = new ResizeObserver(scheduleMeasure);
+  const observePanels = () => {
+    resizeObserver.disconnect();
+    resizeObserver.observe(document.body);
+    resizeObserver.observe(root);
+    sidecar.adapter.getPanels(root).forEach((panel) => resizeObserver.observe(panel));
+  };
+
+  const mutationObserver = new MutationObserver(() => {
+    observePanels();
+    scheduleMeasure();
   });
-};
+  mutationObserver.observe(root, { childList: true, subtree: true });
+
+  window.addEventListener("resize", scheduleMeasure);
+  document.fonts?.ready.then(scheduleMeasure);
+  document.fonts?.addEventListener("loadingdone", scheduleMeasure);
+
+  observePanels();
+  measurePanelBounds(sidecar, root);
+  log("Panel measurement attached.");
+}
 
-// Initializes a MutationObserver to monitor docking state changes on a target element.
-// When the element becomes docked (via 'docked' class), it records the scroll position
-// to begin tracking scroll progress. Undocks reset the tracking state.
-function setupDockingObserver(nodeSelector) {
-  const targetSelectorDocked = `${nodeSelector} > div > div[class*='jsx-'][class*='container'][class*='main']`;
+// Continuously monitors the root for the (re)insertion of the map iframe.
+// Once detected, it starts the handshake with the map in the iframe,
+// resets the current slide to 0, and follows slide changes through the host adapter.
+function watchForIframeForever(sidecar, root) {
+  const attachToIframe = () => {
+    const iframe = sidecar.adapter.findIframe(root);
+    if (iframe && !iframe.dataset.observed) {
+      log(`[${sidecar.nodeSelector}] Frame (re)found by the ${sidecar.adapter.name} adapter, attaching observer.`);
+      iframe.dataset.observed = "true";
+      sidecar.currentSlide = 0;
+
+      connectToMap(sidecar, iframe);
+
+      sidecar.stopSlideObserver?.();
+      sidecar.stopSlideObserver = sidecar.adapter.observeCurrentSlide(root, iframe, (slide) => updateCurrentSlide(sidecar, slide));
+    }
+  };
 
-  waitForElement(targetSelectorDocked, (target) => {
-    const observer = new MutationObserver(() => {
-      const currentlyDocked = target.classList.contains("docked");
+  const observer = new MutationObserver(attachToIframe);
+  observer.observe(root, { childList: true, subtree: true });
+  attachToIframe();
+  log("Watching for iframe (re)insertion.");
+}
 
-      if (currentlyDocked && !isDocked) {
-        isDocked = true;
-        const currentScroll = window.scrollY;
-        log(currentScroll, scrollDirection);
+// --- Map messaging ---
+
+// Starts the handshake with the map in the iframe: says "hello" until the map answers "ready",
+// which it only does once its choreography is loaded. The hello names the sidecar's
+// choreography, if any, so the map loads the right one. Messages are restricted to the
+// iframe's origin, which must be in the configured allowlist.
+function connectToMap(sidecar, iframe) {
+  const origin = new URL(iframe.getAttribute("src") || "", window.location.href).origin;
+  if (!isOriginAllowed(origin, animationConfig.allowedOrigins)) {
+    console.error(`Map origin ${origin} is not in allowedOrigins; not connecting.`);
+    return;
+  }
 
-        if (scrollDirection === "down") {
-          dockStartScroll = currentScroll;
-        }
+  const connection = { iframe, origin, ready: false };
+  sidecar.mapConnection = connection;
 
-        log("Docked: Starting scroll tracking at", dockStartScroll);
-      }
+  const hello = { embedded: true, ...(sidecar.choreography !== undefined && { choreography: sidecar.choreography }) };
+  let attempts = 0;
+  const sayHello = () => {
+    if (sidecar.mapConnection !== connection || connection.ready || attempts++ >= HELLO_MAX_ATTEMPTS) {
+      clearInterval(interval);
+      return;
+    }
+    if (iframe.contentWindow) {
+      postMessageTo(iframe.contentWindow, "hello", hello, origin);
+    }
+  };
+  const interval = setInterval(sayHello, HELLO_INTERVAL);
+  sayHello();
+}
 
-      if (!currentlyDocked && isDocked) {
-        isDocked = false;
-      }
+// Listens for messages from the sidecar's map. Only messages from its own connected iframe's
+// window that pass the protocol checks are accepted. On "ready", the current slide and
+// progress are sent so the map catches up with the reader. Slide requests, feature
+// clicks that name a target slide, and resets scroll the story to the matching panel.
+function setupMapMessageListener(sidecar) {
+  window.addEventListener("message", (event) => {
+    const { mapConnection } = sidecar;
+    if (!mapConnection || event.source !== mapConnection.iframe.contentWindow) return;
+    const message = parseMessage(event, {
+      allowedOrigins: animationConfig.allowedOrigins,
+      onReject: (reason, data) => log("Rejected message:", reason, data),
     });
-
-    observer.observe(target, { attributes: true, attributeFilter: ["class"] });
-    log("Docking observer attached.");
+    if (!message) return;
+
+    const { type, payload } = message;
+    switch (type) {
+      case "ready":
+        if (mapConnection.ready) return;
+        mapConnection.ready = true;
+        log(`[${sidecar.nodeSelector}] Map ready with`, payload.slideCount, "slides.");
+        sendToMap(sidecar, "slideChange", { slide: sidecar.currentSlide });
+        sendProgress(sidecar);
+        break;
+      case "requestSlide":
+        scrollToSlide(sidecar, payload.slide);
+        break;
+      case "featureClick":
+        log("Feature clicked on map:", payload.layerTitle, payload.attributes);
+        if (payload.slide !== undefined) scrollToSlide(sidecar, payload.slide);
+        break;
+      case "reset":
+        scrollToSlide(sidecar, 0);
+        break;
+    }
   });
 }
 
-// Continuously monitors a DOM node for the (re)insertion of an iframe.
-// Once detected, it initializes the iframe by sending a postMessage,
-// resets the current slide to 0, and attaches a MutationObserver to track 'src' changes.
-function watchForIframeForever(nodeSelector) {
-  const iframeSelector = `${nodeSelector} iframe`;
-  waitForElement(nodeSelector, (root) => {
-    const observer = new MutationObserver(() => {
-      const iframe = root.querySelector("iframe");
-      if (iframe && !iframe.dataset.observed) {
-        log(`Frame (re)found under ${nodeSelector}, attaching observer.`);
-        iframe.dataset.observed = "true";
-        currentSlide = 0;
-
-        iframe.contentWindow.postMessage(
-          {
-            source: "storymap-controller",
-            payload: { isEmbedded: true },
-          },
-          "*"
-        );
-
-        const srcObserver = createIframeSrcObserver(iframe);
-        srcObserver.observe(iframe, {
-          attributes: true,
-          attributeFilter: ["src"],
-        });
-      }
-    });
+// Smoothly scrolls the window to the start of a slide's narrative panel (jumps under reduced motion).
+function scrollToSlide(sidecar, slide) {
+  const bounds = sidecar.panelBounds[slide];
+  if (!bounds) {
+    log("No narrative panel for slide", slide);
+    return;
+  }
+  log("Scrolling to slide", slide, "at", bounds.panelStartScroll);
+  window.scrollTo({ top: Math.ceil(bounds.panelStartScroll), behavior: isReducedMotion() ? "auto" : "smooth" });
+}
 
-    observer.observe(root, { childList: true, subtree: true });
-    log(`Watching ${nodeSelector} for iframe (re)insertion.`);
-  });
+// Sends a protocol message to the sidecar's connected map, once it has answered the handshake.
+function sendToMap(sidecar, type, payload) {
+  const connection = sidecar.mapConnection;
+  if (!connection?.ready || !connection.iframe.contentWindow) return;
+  postMessageTo(connection.iframe.contentWindow, type, payload, connection.origin);
 }
 
 // --- Scroll tracking ---
 
-// Attaches a scroll listener to track the user's scroll position and direction.
-// When the target element is docked, it calculates the scroll progress of the current slide panel,
-// logs the progress, and sends it to the embedded iframe via postMessage for synchronization.
-function setupScrollListener(nodeSelector) {
-  const iframeSelector = `${nodeSelector} iframe`;
-
-  window.addEventListener("scroll", () => {
-    const currentScroll = window.scrollY;
-    scrollDirection =
-      currentScroll > lastScrollY
-        ? "down"
-        : currentScroll < lastScrollY
-        ? "up"
-        : scrollDirection;
-    lastScrollY = currentScroll;
-
-    if (!isDocked || dockStartScroll === null) return;
-
-    const panels = document.querySelectorAll("div.immersive-narrative-panel");
-    if (currentSlide < panels.length) {
-      const progress = getPanelProgress(panels, currentSlide, currentScroll);
-      log("Scroll: [slide", currentSlide, "], [progress:", (progress * 100).toFixed(2) + "%]")
-      const iframe = document.querySelector(iframeSelector);
-      if (iframe && iframe.contentWindow) {
-        iframe.contentWindow.postMessage(
-          {
-            source: "storymap-controller",
-            payload: {
-              type: "progress",
-              slide: currentSlide, 
-              progress: progress,
-              isEmbedded: true
-            },
-          },
-          "*"
-        );
-      }
-    }
-  });
+// Attaches a scroll listener to track the user's scroll position.
+// On every scroll, the progress of the current slide panel is sent to the map.
+function setupScrollListener(sidecar) {
+  window.addEventListener("scroll", () => sendProgress(sidecar));
+}
+
+// When the sidecar is docked, calculates the scroll progress of the current slide panel,
+// logs the progress, and sends it to the embedded map for synchronization.
+function sendProgress(sidecar) {
+  if (!sidecar.isDocked || sidecar.panelBounds.length === 0) return;
+
+  if (sidecar.currentSlide < sidecar.panelBounds.length) {
+    const progress = getPanelProgress(sidecar, window.scrollY);
+    log(`[${sidecar.nodeSelector}] Scroll: [slide`, sidecar.currentSlide, "], [progress:", (progress * 100).toFixed(2) + "%]")
+    sendToMap(sidecar, "progress", { slide: sidecar.currentSlide, progress });
+  }
 }
 
 // --- Initialization ---
 
-// Initializes the full scroll tracking system for a story map.
-// Sets up observers for docking state, iframe (re)insertion and src changes,
-// and attaches a scroll listener to track slide progress and sync it with the embedded iframe.
-async function createStoryScrollListener(nodeSelector) {
-  setupDockingObserver(nodeSelector);
-  watchForIframeForever(nodeSelector);
-  setupScrollListener(nodeSelector);
+// Initializes scroll tracking for one sidecar hosting a map.
+// Creates the host adapter, then sets up panel measurement, observers for docking state,
+// iframe (re)insertion and slide changes, the handshake with the map, and a scroll listener
+// to track slide progress and sync it with the embedded iframe.
+// The optional choreography id is sent to the map, which loads the matching choreography.
+async function createStoryScrollListener(nodeSelector, hostAdapter = "storymaps", choreography) {
+  const sidecar = createSidecarState(nodeSelector, hostAdapter, choreography);
+  sidecar.adapter.waitForRoot((root) => {
+    setupPanelMeasurement(sidecar, root);
+    setupDockingObserver(sidecar, root);
+    watchForIframeForever(sidecar, root);
+  });
+  setupMapMessageListener(sidecar);
+  setupScrollListener(sidecar);
 }
 
-createStoryScrollListener(animationConfig.nodeSelector)
\ No newline at end of file
+// One listener per configured sidecar, or a single one for nodeSelector
+await resolveAnimationConfig();
+const sidecars = animationConfig.sidecars?.length
+  ? animationConfig.sidecars
+  : [{ nodeSelector: animationConfig.nodeSelector }];
+sidecars.forEach(({ nodeSelector, hostAdapter, choreography }) =>
+  createStoryScrollListener(nodeSelector, hostAdapter ?? animationConfig.hostAdapter, choreography)
+);
@@ -0,0 +1,92 @@
+// Message protocol shared by the story-side scroll listener and the map-side animator.
+// Every message is { source, version, type, payload }. The story says "hello" to the map
+// iframe until the map answers one with "ready" (once its choreography and view are loaded), and only
+// then streams "progress" and "slideChange" messages. A "hello" may name the choreography
+// the map should load, for stories with several sidecars and maps. "reset" returns the map to slide 0.
+// The map talks back with "requestSlide" and "featureClick" (optionally naming a target
+// slide) and sends "reset" when its reset button is pressed; the story scrolls to match.
+
+export const PROTOCOL_SOURCE = "storymap-controller";
+export const PROTOCOL_VERSION = 1;
+
+const isSlideIndex = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Payload checks for each message type. Each returns true when the payload is well formed.
+ */
+const payloadValidators = {
+  hello: (payload) =>
+    typeof payload.embedded === "boolean" && (payload.choreography === undefined || typeof payload.choreography === "string"),
+  ready: (payload) => isSlideIndex(payload.slideCount),
+  progress: (payload) =>
+    isSlideIndex(payload.slide) && typeof payload.progress === "number" && payload.progress >= 0 && payload.progress <= 1,
+  slideChange: (payload) => isSlideIndex(payload.slide),
+  reset: () => true,
+  requestSlide: (payload) => isSlideIndex(payload.slide),
+  featureClick: (payload) =>
+    typeof payload.layerTitle === "string"
+    && typeof payload.attributes === "object" && payload.attributes !== null
+    && (payload.slide === undefined || isSlideIndex(payload.slide)),
+};
+
+export const MESSAGE_TYPES = Object.keys(payloadValidators);
+
+/**
+ * Returns true when the origin is allowed by the allowlist. Entries are exact origins,
+ * "*" for any origin, or a wildcard subdomain such as "https://*.example.com".
+ * An empty or missing allowlist only allows the page's own origin.
+ */
+export function isOriginAllowed(origin, allowedOrigins) {
+  if (!allowedOrigins || allowedOrigins.length === 0) return origin === window.location.origin;
+  return allowedOrigins.some((allowed) => {
+    if (allowed === "*" || allowed === origin) return true;
+    if (!allowed.includes("*.")) return false;
+    const [scheme, host] = allowed.split("*.");
+    return origin.startsWith(scheme) && origin.endsWith(`.${host}`);
+  });
+}
+
+/**
+ * Builds a protocol message of the given type.
+ */
+export function createMessage(type, payload = {}) {
+  return { source: PROTOCOL_SOURCE, version: PROTOCOL_VERSION, type, payload };
+}
+
+/**
+ * Posts a protocol message to a window, restricted to the given target origin.
+ */
+export function postMessageTo(targetWindow, type, payload, targetOrigin) {
+  targetWindow.postMessage(createMessage(type, payload), targetOrigin);
+}
+
+/**
+ * Checks a message event against the protocol and returns its { type, payload },
+ * or null when it should be ignored: a foreign source, a disallowed origin, another
+ * protocol version, an unknown type or a malformed payload. Rejections other than
+ * a foreign source are reported through onReject so they can be logged.
+ */
+export function parseMessage(event, { allowedOrigins, onReject = () => {} } = {}) {
+  const data = event.data;
+  if (!data || typeof data !== "object" || data.source !== PROTOCOL_SOURCE) return null;
+
+  if (!isOriginAllowed(event.origin, allowedOrigins)) {
+    onReject(`origin ${event.origin} is not allowed`, data);
+    return null;
+  }
+  if (data.version !== PROTOCOL_VERSION) {
+    onReject(`unsupported protocol version ${data.version}`, data);
+    return null;
+  }
+  const validatePayload = payloadValidators[data.type];
+  if (!validatePayload) {
+    onReject(`unknown message type ${data.type}`, data);
+    return null;
+  }
+  if (!data.payload || typeof data.payload !== "object" || !validatePayload(data.payload)) {
+    onReject(`malformed ${data.type} payload`, data);
+    return null;
+  }
+
+  return { type: data.type, payload: data.payload };
+}
@@ -0,0 +1,193 @@
+import { animationConfig } from "../config/animationConfig.js";
+import { validateChoreography } from "../validation/choreographyValidator.js";
+import { parsePositionHash } from "../utils/playbackTimeline.js";
+import { checkWatchers, createStandInMapView, createStandInTimeSlider, installArcgisStandIns, StandInFeatureLayer } from "./standIns.js";
+import { createFakeClock, installSyntheticStory } from "./syntheticStory.js";
+
+// Runs a choreography headless: scrollListener.js follows a scripted scroll through a
+// synthetic StoryMap, and a stand-in map answers its messages through mapController.js,
+// the same handshake, render loop and slide path mapAnimator.js runs in the browser.
+// The resulting map state after every step of the trace makes a timeline that can be
+// compared with a stored one, so choreography and animator changes can be checked offline.
+
+// Simulated time between two steps of a trace, in milliseconds.
+const DEFAULT_STEP_DURATION = 100;
+
+// Simulated time for the listener to find the sidecar and complete the handshake.
+const STARTUP_DURATION = 500;
+
+// The listener is imported afresh for each simulation, since it starts listening on import.
+let simulationCount = 0;
+
+// Titles of every layer the choreography references, for the default stand-in layers.
+function referencedLayers(choreographyData) {
+  const layers = new Map();
+  const reference = (title, properties = {}) => {
+    if (title) layers.set(title, { ...layers.get(title), ...properties });
+  };
+  choreographyData.forEach((slide) => {
+    [...(slide.layerVisibility?.layersOn ?? []), ...(slide.layerVisibility?.layersOff ?? [])].forEach((title) => reference(title));
+    Object.keys(slide.layerOpacity ?? {}).forEach((title) => reference(title));
+    Object.keys(slide.layerEffect ?? {}).forEach((title) => reference(title));
+    [slide.trackRenderer ?? []].flat().forEach(({ trackLayerName }) => reference(trackLayerName, { timeInfo: { startField: "time" } }));
+    reference(slide.routeReveal?.layerTitle);
+    reference(slide.followTrack?.layerTitle, { timeInfo: { startField: "time" } });
+    Object.keys(slide.layerFilter ?? {}).forEach((title) => reference(title));
+    [slide.featureHighlight ?? []].flat().forEach(({ layerTitle }) => reference(layerTitle));
+  });
+  return [...layers].map(([title, properties]) => ({ title, ...properties }));
+}
+
+// Turns a trace step into a scroll position: a number is a scrollY, { scrollY } likewise,
+// and { slide, progress } is the position that far through the slide's narrative panel.
+// A reload without a position scrolls in place, so the story sends its position to the
+// reloaded map; a hash change without one does not scroll (null).
+function scrollYOf(step, story) {
+  if (typeof step === "number") return step;
+  if (typeof step?.scrollY === "number") return step.scrollY;
+  if (Number.isInteger(step?.slide)) return story.scrollYAt(step.slide, step.progress ?? 0);
+  if (step?.reload) return story.scrollY;
+  if (step?.hash !== undefined) return null;
+  throw new TypeError(`Unreadable trace step ${JSON.stringify(step)}: expected a scrollY, { slide, progress }, { hash } or { reload }.`);
+}
+
+const toISO = (date) => (date ? new Date(date).toISOString() : null);
+
+// Records the map state the animators left on the stand-in view, layers and time slider.
+// Every layer is listed, those inside group layers after their group.
+function snapshotMap(mapView, timeSlider) {
+  const timeExtent = timeSlider.timeExtent;
+  const popupFeature = mapView.popup?.features[0];
+  return {
+    viewpoint: mapView.viewpoint?.toJSON() ?? null,
+    camera: mapView.camera?.toJSON() ?? null,
+    timeExtent: timeExtent ? { start: toISO(timeExtent.start), end: toISO(timeExtent.end) } : null,
+    timeSlider: {
+      mode: timeSlider.mode,
+      playing: timeSlider.playing,
+      fullTimeExtent: timeSlider.fullTimeExtent
+        ? { start: toISO(timeSlider.fullTimeExtent.start), end: toISO(timeSlider.fullTimeExtent.end) }
+        : null,
+    },
+    popup: popupFeature ? { attributes: popupFeature.attributes ?? {}, location: mapView.popup.location } : null,
+    layers: mapView.map.allLayers.map((layer) => {
+      const layerView = mapView.layerViewOf(layer);
+      return {
+        ...(layer.id && { id: layer.id }),
+        title: layer.title,
+        visible: layer.visible,
+        opacity: layer.opacity,
+        effect: layer.effect ?? null,
+        ...(layer.renderer !== undefined && { renderer: layer.renderer ?? null }),
+        ...(layer.timeInfo && { timeInfo: layer.timeInfo.toJSON?.() ?? layer.timeInfo }),
+        ...(layer.trackInfo && { trackInfo: layer.trackInfo }),
+        ...(layer.definitionExpression && { definitionExpression: layer.definitionExpression }),
+        ...(layer.featureEffect && { featureEffect: layer.featureEffect }),
+        ...(layerView?.filter && { featureFilter: layerView.filter }),
+        ...(layerView?.highlightedIds.length > 0 && { highlighted: layerView.highlightedIds }),
+        ...(layer.graphics && { graphics: layer.graphics.filter((graphic) => graphic.visible).map((graphic) => graphic.geometry).toArray() }),
+      };
+    }).toArray(),
+  };
+}
+
+/**
+ * Simulates a story scrolled along a trace and returns the map state after each step.
+ *
+ * Options:
+ * - choreography: the choreography slides (or a choreography document with slides).
+ * - trace: the scroll steps, each a scrollY, { scrollY } or { slide, progress }. A step may
+ *   instead (or as well) change the map page's hash, { hash: 2 } or { hash: "#2" }, as a
+ *   link into the map does, or reload the map page, { reload: true }: a fresh map with the
+ *   web map's original layers takes over the iframe, without a new handshake.
+ * - layers: the web map's layers as stand-in layer properties ({ id, title, visible, opacity,
+ *   effect, renderer, timeInfo, trackInfo, definitionExpression, featureEffect, features },
+ *   or { id, title, layers } for a group layer); by default one visible layer for every
+ *   title the choreography references.
+ * - view: { type, viewpoint, camera, spatialReference, width, height } of the stand-in view.
+ * - story: { panelHeights, dockStart, viewportHeight } of the synthetic StoryMap; each
+ *   panel defaults to the viewport height.
+ * - config: animationConfig overrides for the run (e.g. { scrollSmoothing: 0.2 }).
+ * - stepDuration: simulated milliseconds between steps.
+ *
+ * Resolves to { report, timeline }: the choreography's validation report, and per step
+ * { step, scrollY, docked, storySlide, connected, slide, progress } with the map state
+ * (viewpoint, camera, timeExtent, timeSlider, popup and layers). connected tells whether
+ * the map completed the handshake with the story.
+ */
+export async function simulateChoreography({ choreography, trace, layers, view = {}, story: storyOptions = {}, config = {}, stepDuration = DEFAULT_STEP_DURATION }) {
+  const choreographyData = Array.isArray(choreography) ? choreography : choreography.slides ?? [];
+  const report = validateChoreography(choreographyData);
+
+  installArcgisStandIns();
+  const clock = createFakeClock({ onFrame: checkWatchers });
+  const viewportHeight = storyOptions.viewportHeight ?? 800;
+  const story = installSyntheticStory({
+    clock,
+    viewportHeight,
+    dockStart: storyOptions.dockStart ?? 0,
+    panelHeights: storyOptions.panelHeights ?? choreographyData.map(() => viewportHeight),
+  });
+
+  const previousConfig = { ...animationConfig };
+  Object.assign(animationConfig, {
+    nodeSelector: story.nodeSelector,
+    hostAdapter: "storymaps",
+    sidecars: [],
+    allowedOrigins: [],
+    reducedMotion: false,
+    scrollSmoothing: 0,
+    debugMode: false,
+  }, config);
+
+  try {
+    const { createMapController } = await import("../animators/mapController.js");
+    await import("../animators/builtinHandlers.js");
+
+    // Loads the map page in the iframe: a stand-in view and time slider driven by a map
+    // controller, which follows hash changes to a slide as the map page's hash listener does.
+    const loadMap = () => {
+      const mapView = createStandInMapView({
+        ...view,
+        layers: (layers ?? referencedLayers(choreographyData)).map((properties) => new StandInFeatureLayer(properties)),
+      });
+      const timeSlider = createStandInTimeSlider(mapView);
+      const controller = createMapController({ mapView, timeSlider, choreographyData });
+      const followHash = (hash) => {
+        const position = parsePositionHash(hash);
+        if (position && choreographyData[position.slide]) controller.goToSlide(position.slide);
+      };
+      story.connectMap(controller.handleMessage, followHash);
+      return { mapView, timeSlider, controller, followHash };
+    };
+    let map = loadMap();
+
+    await import(`../listener/scrollListener.js?simulation=${++simulationCount}`);
+    await clock.advance(STARTUP_DURATION);
+
+    const timeline = [];
+    for (const [index, step] of trace.entries()) {
+      if (step?.reload) map = loadMap();
+      if (step?.hash !== undefined) map.followHash(String(step.hash).replace(/^#?/, "#"));
+      const scrollY = scrollYOf(step, story);
+      if (scrollY !== null) story.scrollTo(scrollY);
+      await clock.advance(stepDuration);
+      const { mapView, timeSlider, controller } = map;
+      timeline.push({
+        step: index,
+        scrollY: story.scrollY,
+        docked: story.docked,
+        storySlide: story.currentSlide,
+        connected: controller.connected,
+        slide: controller.slideIndex,
+        progress: controller.progress,
+        ...snapshotMap(mapView, timeSlider),
+      });
+    }
+    return { report, timeline };
+  } finally {
+    Object.keys(animationConfig).forEach((key) => delete animationConfig[key]);
+    Object.assign(animationConfig, previousConfig);
+    story.uninstall();
+  }
+}
@@ -0,0 +1,122 @@
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { isDeepStrictEqual } from "node:util";
+import { simulateChoreography } from "./choreographySimulator.js";
+
+// Command line entry of the choreography simulator:
+//
+//   node src/simulator/simulate.js <choreography.json> <trace.json> [--snapshot <timeline.json>] [--update]
+//   node src/simulator/simulate.js --suite <directory> [--update]
+//
+// (or npm run simulate -- <arguments>). The trace file holds the scroll steps, either as an
+// array or as { steps } alongside the other simulateChoreography options (layers, view,
+// story, config, stepDuration). Without --snapshot the timeline is printed as JSON. With
+// --snapshot it is compared with the stored timeline, exiting with 1 on the first
+// difference; --update rewrites the file. --suite runs every <name>.trace.json in the
+// directory, with the choreography its "choreography" path (relative to the trace) names,
+// against <name>.timeline.json; npm test runs the suite in data/simulation.
+// Logging from the listener and animators goes to stderr, keeping stdout to the timeline.
+
+const USAGE = "Usage: simulate.js <choreography.json> <trace.json> [--snapshot <timeline.json>] [--update]\n"
+  + "       simulate.js --suite <directory> [--update]";
+
+const TRACE_SUFFIX = ".trace.json";
+
+function parseArguments(args) {
+  const options = { files: [], snapshot: null, suite: null, update: false };
+  for (let index = 0; index < args.length; index++) {
+    if (args[index] === "--snapshot") {
+      options.snapshot = args[++index];
+    } else if (args[index] === "--suite") {
+      options.suite = args[++index];
+    } else if (args[index] === "--update") {
+      options.update = true;
+    } else {
+      options.files.push(args[index]);
+    }
+  }
+  return options;
+}
+
+const readJSON = async (path) => JSON.parse(await readFile(path, "utf8"));
+
+// Returns a description of the first difference between two timelines, or null when they match.
+function firstDifference(expected, actual) {
+  if (expected.length !== actual.length) {
+    return `the timeline has ${actual.length} steps, the snapshot ${expected.length}`;
+  }
+  const index = actual.findIndex((entry, step) => !isDeepStrictEqual(entry, expected[step]));
+  if (index === -1) return null;
+  const key = Object.keys({ ...expected[index], ...actual[index] })
+    .find((name) => !isDeepStrictEqual(expected[index][name], actual[index][name]));
+  return `step ${index} differs in "${key}":\n  expected ${JSON.stringify(expected[index][key])}\n  actual   ${JSON.stringify(actual[index][key])}`;
+}
+
+// Simulates the choreography along a trace file's contents, returning the timeline
+// round-tripped through JSON, so it compares equal to a stored snapshot.
+async function runTrace(choreography, trace) {
+  const { steps, ...options } = Array.isArray(trace) ? { steps: trace } : trace;
+  const { report, timeline } = await simulateChoreography({ ...options, choreography, trace: steps });
+  report.errors.forEach(({ path, message }) => console.error(`Choreography error at ${path || "(root)"}: ${message}`));
+  return JSON.parse(JSON.stringify(timeline));
+}
+
+// Compares a timeline with the stored snapshot, or rewrites it with update. Returns the exit code.
+async function checkSnapshot(snapshot, result, update) {
+  if (update) {
+    await writeFile(snapshot, `${JSON.stringify(result, null, 2)}\n`);
+    console.error(`Wrote ${result.length} steps to ${snapshot}.`);
+    return 0;
+  }
+
+  const difference = firstDifference(await readJSON(snapshot), result);
+  if (difference) {
+    console.error(`Timeline does not match ${snapshot}: ${difference}`);
+    return 1;
+  }
+  console.error(`Timeline matches ${snapshot} (${result.length} steps).`);
+  return 0;
+}
+
+// Runs every trace in the directory against its stored timeline, returning 1 if any differs.
+async function runSuite(directory, update) {
+  const traces = (await readdir(directory)).filter((name) => name.endsWith(TRACE_SUFFIX)).sort();
+  let exitCode = 0;
+  for (const name of traces) {
+    const tracePath = join(directory, name);
+    const trace = await readJSON(tracePath);
+    if (typeof trace.choreography !== "string") {
+      console.error(`${tracePath} names no "choreography" file.`);
+      exitCode = 1;
+      continue;
+    }
+    const choreography = await readJSON(join(dirname(tracePath), trace.choreography));
+    const snapshot = join(directory, `${name.slice(0, -TRACE_SUFFIX.length)}.timeline.json`);
+    const result = await runTrace(choreography, trace);
+    exitCode = Math.max(exitCode, await checkSnapshot(snapshot, result, update));
+  }
+  console.error(`Ran ${traces.length} simulations from ${directory}.`);
+  return exitCode;
+}
+
+async function main() {
+  const { files, snapshot, suite, update } = parseArguments(process.argv.slice(2));
+  console.log = (...args) => console.error(...args);
+  if (suite && files.length === 0 && !snapshot) {
+    return runSuite(suite, update);
+  }
+  if (suite || files.length !== 2 || (update && !snapshot)) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const [choreography, trace] = await Promise.all(files.map(readJSON));
+  const result = await runTrace(choreography, trace);
+  if (!snapshot) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    return 0;
+  }
+  return checkSnapshot(snapshot, result, update);
+}
+
+process.exitCode = await main();
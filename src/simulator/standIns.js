@@ -0,0 +1,439 @@
+// Stand-ins for the parts of the ArcGIS Maps SDK the animators touch, so the choreography
+// can run headless in Node. They keep state instead of drawing: a view holds the viewpoint
+// or camera it was last given and the popup it shows, layers hold their visibility, opacity,
+// effects, filters, renderers and time info, layer views their filter and highlighted
+// features, and goTo jumps straight to its target. Install them with installArcgisStandIns()
+// before importing any animator, since the animators import their ArcGIS classes on load.
+
+// Pixel size in meters at 96 dpi, relating a view's scale to its resolution.
+const METERS_PER_PIXEL_PER_SCALE = 0.0254 / 96;
+
+/**
+ * A collection behaving like the SDK's Collection for what the animators use:
+ * array methods plus toArray(), add(item, index), addMany(items), remove(item) and removeAll().
+ */
+export class StandInCollection extends Array {
+  toArray() {
+    return Array.from(this);
+  }
+
+  add(item, index = this.length) {
+    this.splice(Math.max(0, Math.min(index, this.length)), 0, item);
+  }
+
+  addMany(items) {
+    items.forEach((item) => this.add(item));
+  }
+
+  remove(item) {
+    const index = this.indexOf(item);
+    if (index >= 0) this.splice(index, 1);
+  }
+
+  removeAll() {
+    this.length = 0;
+  }
+}
+
+const collectionOf = (items = []) => StandInCollection.from(items);
+
+// A plain JSON-backed class with fromJSON/toJSON, standing in for Viewpoint and Camera.
+class StandInJSONObject {
+  constructor(json = {}) {
+    Object.assign(this, structuredClone(json));
+  }
+
+  static fromJSON(json) {
+    return new this(json);
+  }
+
+  clone() {
+    return new this.constructor(this.toJSON());
+  }
+
+  toJSON() {
+    return structuredClone({ ...this });
+  }
+}
+
+class StandInViewpoint extends StandInJSONObject {}
+
+class StandInCamera extends StandInJSONObject {}
+
+class StandInTimeInfo extends StandInJSONObject {}
+
+class StandInGraphic {
+  constructor(properties = {}) {
+    Object.assign(this, { visible: true, geometry: null, symbol: null, attributes: {} }, properties);
+  }
+}
+
+/**
+ * A layer holding graphics, standing in for GraphicsLayer.
+ */
+class StandInGraphicsLayer {
+  constructor(properties = {}) {
+    Object.assign(this, { title: null, listMode: "show", visible: true, opacity: 1, effect: null, loaded: true }, properties);
+    this.graphics = collectionOf();
+  }
+
+  add(graphic) {
+    this.graphics.add(graphic);
+  }
+
+  addMany(graphics) {
+    this.graphics.addMany(graphics);
+  }
+
+  load() {
+    return Promise.resolve(this);
+  }
+
+  when() {
+    return Promise.resolve(this);
+  }
+}
+
+// Parses the where clauses the animators build ("1=1" or "field = value") into a feature filter.
+function whereFilter(where = "1=1") {
+  if (where.replace(/\s/g, "") === "1=1") return () => true;
+  const match = where.match(/^\s*(\w+)\s*=\s*(?:'((?:[^']|'')*)'|(-?\d+(?:\.\d+)?))\s*$/);
+  if (!match) throw new Error(`The stand-in layer cannot evaluate the where clause "${where}".`);
+  const [, field, text, number] = match;
+  const value = text !== undefined ? text.replace(/''/g, "'") : Number(number);
+  return (feature) => feature.attributes?.[field] === value;
+}
+
+/**
+ * A feature layer standing in for FeatureLayer. Its features ({ attributes, geometry },
+ * geometries in the view's spatial reference) answer queryFeatures with a where clause of
+ * "1=1" or "field = value" and an optional "field ASC|DESC" ordering. Given layers, it
+ * stands in for a GroupLayer holding them instead.
+ */
+export class StandInFeatureLayer {
+  constructor({ features = [], timeInfo = null, layers, ...properties } = {}) {
+    Object.assign(this, {
+      type: layers ? "group" : "feature",
+      id: null,
+      title: null,
+      listMode: "show",
+      visible: true,
+      opacity: 1,
+      effect: null,
+      loaded: true,
+      parent: null,
+      ...(!layers && { renderer: null, trackInfo: null, definitionExpression: null, featureEffect: null }),
+    }, properties);
+    this.timeInfo = timeInfo && (timeInfo instanceof StandInTimeInfo ? timeInfo : StandInTimeInfo.fromJSON(timeInfo));
+    this.features = features;
+    if (layers) {
+      this.layers = collectionOf(layers.map((layer) => (layer instanceof StandInFeatureLayer ? layer : new StandInFeatureLayer(layer))));
+      this.layers.forEach((layer) => (layer.parent = this));
+    }
+  }
+
+  add(layer, index) {
+    layer.parent = this;
+    this.layers.add(layer, index);
+  }
+
+  remove(layer) {
+    this.layers.remove(layer);
+  }
+
+  load() {
+    return Promise.resolve(this);
+  }
+
+  when() {
+    return Promise.resolve(this);
+  }
+
+  clone() {
+    const { features, timeInfo, layers, parent, ...properties } = this;
+    return new StandInFeatureLayer({
+      ...structuredClone(properties),
+      features,
+      timeInfo: timeInfo?.clone() ?? null,
+      ...(layers && { layers: layers.map((layer) => layer.clone()) }),
+    });
+  }
+
+  async queryFeatures({ where, orderByFields = [] } = {}) {
+    const features = this.features.filter(whereFilter(where));
+    const [order] = orderByFields;
+    if (order) {
+      const [field, direction = "ASC"] = order.split(/\s+/);
+      const sign = direction.toUpperCase() === "DESC" ? -1 : 1;
+      features.sort((a, b) => sign * (a.attributes[field] > b.attributes[field] ? 1 : a.attributes[field] < b.attributes[field] ? -1 : 0));
+    }
+    return { features: structuredClone(features) };
+  }
+}
+
+// reactiveUtils.watch and whenOnce stand-ins: watchers are re-evaluated whenever checkWatchers() is called.
+const watchers = new Set();
+
+const reactiveUtils = {
+  watch(getValue, callback, { initial = false } = {}) {
+    const watcher = { getValue, callback, value: getValue() };
+    watchers.add(watcher);
+    if (initial) callback(watcher.value);
+    return { remove: () => watchers.delete(watcher) };
+  },
+
+  whenOnce(getValue) {
+    return new Promise((resolve) => {
+      const value = getValue();
+      if (value) {
+        resolve(value);
+        return;
+      }
+      const watcher = {
+        getValue,
+        value,
+        callback: (current) => {
+          if (!current) return;
+          watchers.delete(watcher);
+          resolve(current);
+        },
+      };
+      watchers.add(watcher);
+    });
+  },
+};
+
+/**
+ * Calls back every watcher whose watched value changed since it was last checked.
+ */
+export function checkWatchers() {
+  [...watchers].forEach((watcher) => {
+    const value = watcher.getValue();
+    if (value === watcher.value) return;
+    const oldValue = watcher.value;
+    watcher.value = value;
+    watcher.callback(value, oldValue);
+  });
+}
+
+// The project operator never projects, so only the closed-form Web Mercator and WGS84 math applies.
+const projectOperator = {
+  isLoaded: () => true,
+  load: async () => {},
+  execute: () => null,
+};
+
+class StandInPoint {
+  constructor(properties = {}) {
+    Object.assign(this, properties);
+  }
+}
+
+const StandInSpatialReference = { fromJSON: (json) => ({ ...json }) };
+
+const standInModules = {
+  "@arcgis/core/Viewpoint.js": StandInViewpoint,
+  "@arcgis/core/Camera.js": StandInCamera,
+  "@arcgis/core/Graphic.js": StandInGraphic,
+  "@arcgis/core/layers/GraphicsLayer.js": StandInGraphicsLayer,
+  "@arcgis/core/core/reactiveUtils.js": reactiveUtils,
+  "@arcgis/core/geometry/operators/projectOperator.js": projectOperator,
+  "@arcgis/core/geometry/Point.js": StandInPoint,
+  "@arcgis/core/geometry/SpatialReference.js": StandInSpatialReference,
+};
+
+/**
+ * Installs a global $arcgis.import that resolves the SDK modules the animators import
+ * to their stand-ins. Importing any other module rejects.
+ */
+export function installArcgisStandIns() {
+  globalThis.$arcgis = {
+    import: async (specifier) => {
+      if (!(specifier in standInModules)) {
+        throw new Error(`No stand-in for "${specifier}".`);
+      }
+      return standInModules[specifier];
+    },
+  };
+}
+
+const spatialReferenceOf = (json) => ({ ...json, toJSON: () => ({ ...json }) });
+
+// Every layer in the map, group layers before the layers inside them, as in allLayers.
+const flattenLayers = (layers) => layers.flatMap((layer) => [layer, ...flattenLayers(layer.layers ?? [])]);
+
+/**
+ * A layer view standing in for FeatureLayerView, never updating: it holds its filter and, by object id
+ * (or the feature's position when it has none), the features highlighted through it.
+ */
+function createStandInLayerView(layer) {
+  const highlights = new Set();
+  return {
+    layer,
+    filter: null,
+    updating: false,
+    highlight(features) {
+      const ids = [features].flat().map((feature) => feature.attributes?.OBJECTID ?? feature.attributes?.objectid ?? feature);
+      const handle = { ids };
+      highlights.add(handle);
+      return { remove: () => highlights.delete(handle) };
+    },
+    get highlightedIds() {
+      return [...highlights].flatMap(({ ids }) => ids);
+    },
+  };
+}
+
+// Returns the center of a viewpoint's target geometry, an extent or a point.
+function centerOf(geometry) {
+  if (geometry.xmin !== undefined) {
+    return { x: (geometry.xmin + geometry.xmax) / 2, y: (geometry.ymin + geometry.ymax) / 2 };
+  }
+  return { x: geometry.x, y: geometry.y };
+}
+
+/**
+ * Creates a view standing in for a MapView (type "2d") or SceneView ("3d"), with the given
+ * layers in its map. It shows whatever viewpoint or camera it was last given, without
+ * fitting extents to its size: the scale is the viewpoint's own. goTo jumps to its target.
+ */
+export function createStandInMapView({ type = "2d", layers = [], viewpoint = null, camera = null, spatialReference = { wkid: 102100, latestWkid: 3857 }, width = 1200, height = 800 } = {}) {
+  const mapLayers = collectionOf(layers);
+  const layerViews = new WeakMap();
+  let popup = null;
+  let viewpointJSON = viewpoint && structuredClone(viewpoint);
+  let cameraJSON = camera && structuredClone(camera);
+
+  const map = {
+    layers: mapLayers,
+    get allLayers() {
+      return collectionOf(flattenLayers(mapLayers));
+    },
+    basemap: null,
+    add: (layer, index) => {
+      layer.parent = map;
+      mapLayers.add(layer, index);
+    },
+    remove: (layer) => mapLayers.remove(layer),
+  };
+  mapLayers.forEach((layer) => (layer.parent = map));
+
+  const view = {
+    type,
+    map,
+    width,
+    height,
+    spatialReference: spatialReferenceOf(spatialReference),
+    timeExtent: null,
+
+    get viewpoint() {
+      return viewpointJSON && StandInViewpoint.fromJSON(viewpointJSON);
+    },
+    set viewpoint(value) {
+      viewpointJSON = value?.toJSON?.() ?? structuredClone(value);
+    },
+
+    get camera() {
+      return cameraJSON && StandInCamera.fromJSON(cameraJSON);
+    },
+    set camera(value) {
+      cameraJSON = value?.toJSON?.() ?? structuredClone(value);
+    },
+
+    get center() {
+      const geometry = viewpointJSON?.targetGeometry;
+      if (!geometry) return null;
+      return { ...centerOf(geometry), spatialReference: geometry.spatialReference ?? spatialReference };
+    },
+
+    get scale() {
+      return viewpointJSON?.scale ?? null;
+    },
+
+    get rotation() {
+      return viewpointJSON?.rotation ?? 0;
+    },
+
+    get resolution() {
+      return this.scale === null ? null : this.scale * METERS_PER_PIXEL_PER_SCALE;
+    },
+
+    get extent() {
+      const geometry = viewpointJSON?.targetGeometry;
+      if (!geometry) return null;
+      const { x, y } = centerOf(geometry);
+      const halfWidth = geometry.xmin !== undefined ? (geometry.xmax - geometry.xmin) / 2 : (width * this.resolution) / 2;
+      const halfHeight = geometry.ymin !== undefined ? (geometry.ymax - geometry.ymin) / 2 : (height * this.resolution) / 2;
+      const extent = {
+        xmin: x - halfWidth,
+        ymin: y - halfHeight,
+        xmax: x + halfWidth,
+        ymax: y + halfHeight,
+        spatialReference: geometry.spatialReference ?? spatialReference,
+      };
+      return { ...extent, width: halfWidth * 2, height: halfHeight * 2, toJSON: () => ({ ...extent }) };
+    },
+
+    get popup() {
+      return popup;
+    },
+
+    whenLayerView(layer) {
+      if (!layerViews.has(layer)) layerViews.set(layer, createStandInLayerView(layer));
+      return Promise.resolve(layerViews.get(layer));
+    },
+
+    // The layer view of a layer, if one was asked for, without creating it.
+    layerViewOf: (layer) => layerViews.get(layer) ?? null,
+
+    openPopup({ features = [], location } = {}) {
+      popup = { features, location: location ?? null };
+    },
+
+    closePopup() {
+      popup = null;
+    },
+
+    goTo(target) {
+      if (target instanceof StandInCamera) {
+        this.camera = target;
+      } else {
+        this.viewpoint = target;
+      }
+      return Promise.resolve();
+    },
+  };
+  return view;
+}
+
+/**
+ * Creates a time slider standing in for arcgis-time-slider, bound to the view:
+ * setting its timeExtent sets the view's, as the real slider's reference element does.
+ * play() and stop() only record whether it is playing.
+ */
+export function createStandInTimeSlider(mapView) {
+  let timeExtent = null;
+  return {
+    state: "ready",
+    mode: "time-window",
+    timeZone: "system",
+    fullTimeExtent: null,
+    stops: null,
+    playing: false,
+
+    get timeExtent() {
+      return timeExtent;
+    },
+    set timeExtent(value) {
+      timeExtent = value;
+      if (mapView) mapView.timeExtent = value;
+    },
+
+    play() {
+      this.playing = true;
+    },
+    stop() {
+      this.playing = false;
+    },
+  };
+}
@@ -0,0 +1,364 @@
+// A synthetic script-embedded StoryMap for running scrollListener.js headless in Node.
+// It installs just enough of window and document for the StoryMaps host adapter: a sidecar
+// root with a main container that gains the "docked" class, narrative panels of the given
+// heights and the map iframe, whose src fragment names the current slide. Timers, animation
+// frames and postMessage run on a fake clock, so a simulated scroll plays out the same way
+// on every run.
+
+// Simulated time advances in animation frames of this many milliseconds.
+const FRAME_DURATION = 16;
+
+// The globals the synthetic story replaces, restored by uninstall().
+const INSTALLED_GLOBALS = [
+  "window",
+  "document",
+  "getComputedStyle",
+  "MutationObserver",
+  "ResizeObserver",
+  "requestAnimationFrame",
+  "cancelAnimationFrame",
+  "setTimeout",
+  "clearTimeout",
+  "setInterval",
+  "clearInterval",
+];
+
+// Lets pending promise callbacks run before simulated time moves on.
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Creates a clock for timers and animation frames that only moves when advanced.
+ * advance(ms) runs every timer that falls due and one round of animation frames per
+ * frame of simulated time, letting promises settle in between. onFrame, if given, is
+ * called after every round of animation frames.
+ */
+export function createFakeClock({ onFrame } = {}) {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map();
+  let frames = new Map();
+
+  const schedule = (callback, delay, repeat) => {
+    const id = nextId++;
+    timers.set(id, { callback, due: now + Math.max(0, delay || 0), interval: repeat ? Math.max(1, delay || 0) : null });
+    return id;
+  };
+
+  // Runs the timers due by now, earliest first, including those they schedule for now.
+  function runDueTimers() {
+    for (;;) {
+      const due = [...timers.entries()]
+        .filter(([, timer]) => timer.due <= now)
+        .sort(([idA, a], [idB, b]) => a.due - b.due || idA - idB);
+      if (due.length === 0) return;
+      const [id, timer] = due[0];
+      if (timer.interval === null) {
+        timers.delete(id);
+      } else {
+        timer.due += timer.interval;
+      }
+      timer.callback();
+    }
+  }
+
+  function runFrames() {
+    const callbacks = frames;
+    frames = new Map();
+    callbacks.forEach((callback) => callback(now));
+    onFrame?.();
+  }
+
+  return {
+    get now() {
+      return now;
+    },
+    setTimeout: (callback, delay) => schedule(callback, delay, false),
+    setInterval: (callback, delay) => schedule(callback, delay, true),
+    clearTimer: (id) => timers.delete(id),
+    requestAnimationFrame: (callback) => {
+      const id = nextId++;
+      frames.set(id, callback);
+      return id;
+    },
+    cancelAnimationFrame: (id) => frames.delete(id),
+
+    async advance(ms) {
+      const end = now + ms;
+      // Mutation records and promises queued by the caller come first, as in a browser task
+      await settle();
+      do {
+        runDueTimers();
+        await settle();
+        runDueTimers();
+        runFrames();
+        await settle();
+        now = Math.min(end, now + FRAME_DURATION);
+      } while (now < end);
+      runDueTimers();
+      await settle();
+    },
+  };
+}
+
+// Returns true when node is the target or, with subtree, one of its descendants.
+function isObservedBy(node, target, subtree) {
+  for (let current = node; current; current = current.parentElement) {
+    if (current === target) return true;
+    if (!subtree) return false;
+  }
+  return false;
+}
+
+/**
+ * Installs a synthetic StoryMap page as the global window and document.
+ * Options: nodeSelector of the sidecar, panelHeights (px, one per slide), dockStart (the
+ * scroll position where the sidecar docks), viewportHeight, pageUrl and mapUrl.
+ * The map answers through the page window's postMessage, as from inside the iframe.
+ * Returns { nodeSelector, iframe, scrollY, scrollTo(y), scrollYAt(slide, progress),
+ * connectMap(onMessage, onHashChange), uninstall() }.
+ */
+export function installSyntheticStory({
+  clock,
+  nodeSelector = "#storymap-sidecar",
+  panelHeights,
+  dockStart = 0,
+  viewportHeight = 800,
+  pageUrl = "https://story.example/index.html",
+  mapUrl = new URL("map/index.html", pageUrl).href,
+}) {
+  const previousGlobals = Object.fromEntries(INSTALLED_GLOBALS.map((name) => [name, globalThis[name]]));
+  const observers = new Set();
+  const listeners = new Map();
+  let mapListener = null;
+  let mapHashListener = null;
+
+  // Queues a mutation record for every observer watching the node, delivered as a microtask.
+  function notifyMutation(node, record) {
+    observers.forEach((observer) => {
+      observer.targets.forEach(({ target, options }) => {
+        if (!isObservedBy(node, target, options.subtree)) return;
+        if (record.type === "attributes" && (!options.attributes || (options.attributeFilter && !options.attributeFilter.includes(record.attributeName)))) return;
+        if (record.type === "childList" && !options.childList) return;
+        queueMicrotask(() => observer.callback([{ ...record, target: node }], observer));
+      });
+    });
+  }
+
+  function createElement(tagName, { className = "", parent = null, offsetHeight = 0 } = {}) {
+    const attributes = new Map();
+    const classes = new Set(className.split(" ").filter(Boolean));
+    const element = {
+      tagName: tagName.toUpperCase(),
+      parentElement: parent,
+      offsetHeight,
+      dataset: {},
+      classList: {
+        contains: (name) => classes.has(name),
+        add: (name) => {
+          classes.add(name);
+          notifyMutation(element, { type: "attributes", attributeName: "class" });
+        },
+        remove: (name) => {
+          classes.delete(name);
+          notifyMutation(element, { type: "attributes", attributeName: "class" });
+        },
+      },
+      getAttribute: (name) => (name === "class" ? [...classes].join(" ") : attributes.get(name) ?? null),
+      setAttribute: (name, value) => {
+        attributes.set(name, String(value));
+        notifyMutation(element, { type: "attributes", attributeName: name });
+      },
+      querySelector: () => null,
+      querySelectorAll: () => [],
+      getBoundingClientRect: () => ({ top: 0, bottom: 0, height: offsetHeight }),
+    };
+    return element;
+  }
+
+  // Page layout: root > wrapper > main container, the narrative panels and the map iframe
+  const root = createElement("div", { className: "storymaps-sidecar" });
+  const wrapper = createElement("div", { parent: root });
+  const mainContainer = createElement("div", { className: "jsx-0 container main", parent: wrapper });
+  const panels = panelHeights.map((height, index) => createElement("div", {
+    className: ["immersive-narrative-panel", index === 0 && "first", index === panelHeights.length - 1 && "last"].filter(Boolean).join(" "),
+    parent: root,
+    offsetHeight: height,
+  }));
+  const iframe = createElement("iframe", { parent: mainContainer });
+  const mapOrigin = new URL(mapUrl).origin;
+
+  const panelStarts = panelHeights.map((height, index) => dockStart + panelHeights.slice(0, index).reduce((sum, value) => sum + value, 0));
+  const storyEnd = dockStart + panelHeights.reduce((sum, value) => sum + value, 0);
+
+  root.querySelectorAll = (selector) => (selector === "div.immersive-narrative-panel" ? panels : []);
+  root.querySelector = (selector) => (selector === "iframe" ? iframe : null);
+  root.getBoundingClientRect = () => ({ top: dockStart - window.scrollY, bottom: storyEnd - window.scrollY, height: storyEnd - dockStart });
+
+  const location = new URL(pageUrl);
+  const window = {
+    scrollY: 0,
+    innerHeight: viewportHeight,
+    location,
+    addEventListener: (type, listener) => {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(listener);
+    },
+    removeEventListener: (type, listener) => listeners.get(type)?.delete(listener),
+    scrollTo: (options) => scrollTo(typeof options === "object" ? options.top : options),
+    // Only the map posts to the page, so every message comes from the iframe
+    postMessage: (data, targetOrigin) => {
+      if (targetOrigin !== "*" && targetOrigin !== location.origin) return;
+      dispatch("message", { data: structuredClone(data), origin: mapOrigin, source: iframe.contentWindow });
+    },
+  };
+
+  // Events are dispatched as tasks on the fake clock, like the browser's.
+  const dispatch = (type, event = {}) =>
+    clock.setTimeout(() => listeners.get(type)?.forEach((listener) => listener({ type, ...event })), 0);
+
+  // The map iframe's window: messages posted to it reach the simulated map
+  iframe.contentWindow = {
+    postMessage: (data, targetOrigin) => {
+      if (targetOrigin !== "*" && targetOrigin !== mapOrigin) return;
+      clock.setTimeout(() => mapListener?.({ data: structuredClone(data), origin: location.origin, source: window }), 0);
+    },
+  };
+  iframe.setAttribute("src", `${mapUrl}#0`);
+
+  // Only the selectors the StoryMaps adapter asks for are answered: the sidecar root,
+  // and the main container under it that gains the "docked" class. Elements appended to
+  // the body (such as the map's loading indicator) can be found by id until removed.
+  const bodyElements = new Set();
+  const body = createElement("body");
+  body.appendChild = (element) => {
+    element.parentElement = body;
+    element.remove = () => bodyElements.delete(element);
+    bodyElements.add(element);
+    return element;
+  };
+  const document = {
+    body,
+    createElement: (tagName) => Object.assign(createElement(tagName), { style: {} }),
+    querySelector: (selector) => {
+      if (selector === nodeSelector) return root;
+      if (selector.startsWith(`${nodeSelector} >`)) return mainContainer;
+      return null;
+    },
+    querySelectorAll: () => [],
+    getElementById: (id) => [...bodyElements].find((element) => element.id === id) ?? null,
+  };
+
+  class SyntheticMutationObserver {
+    constructor(callback) {
+      this.callback = callback;
+      this.targets = [];
+    }
+
+    observe(target, options = {}) {
+      this.targets.push({ target, options: { attributes: Boolean(options.attributeFilter), ...options } });
+      observers.add(this);
+    }
+
+    disconnect() {
+      this.targets = [];
+      observers.delete(this);
+    }
+  }
+
+  // Panels never resize in the synthetic story
+  class SyntheticResizeObserver {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  }
+
+  const zeroStyle = { marginTop: "0px", marginBottom: "0px", paddingBottom: "0px" };
+
+  Object.assign(globalThis, {
+    window,
+    document,
+    getComputedStyle: () => zeroStyle,
+    MutationObserver: SyntheticMutationObserver,
+    ResizeObserver: SyntheticResizeObserver,
+    requestAnimationFrame: clock.requestAnimationFrame,
+    cancelAnimationFrame: clock.cancelAnimationFrame,
+    setTimeout: clock.setTimeout,
+    clearTimeout: clock.clearTimer,
+    setInterval: clock.setInterval,
+    clearInterval: clock.clearTimer,
+  });
+
+  // Returns the slide whose narrative panel is at the scroll position, as StoryMaps shows it.
+  const slideAt = (scrollY) => {
+    let slide = 0;
+    panelStarts.forEach((start, index) => {
+      if (scrollY >= start) slide = index;
+    });
+    return slide;
+  };
+
+  let docked = false;
+  let currentSlide = 0;
+
+  // Scrolls the page as StoryMaps would react: docks or undocks the sidecar, moves the
+  // iframe's src fragment to the slide in view (a hash change in the map page), then fires
+  // the scroll event.
+  function scrollTo(scrollY) {
+    window.scrollY = scrollY;
+
+    const nowDocked = scrollY >= dockStart && scrollY < storyEnd;
+    if (nowDocked !== docked) {
+      docked = nowDocked;
+      docked ? mainContainer.classList.add("docked") : mainContainer.classList.remove("docked");
+    }
+
+    const slide = slideAt(scrollY);
+    if (slide !== currentSlide) {
+      currentSlide = slide;
+      iframe.setAttribute("src", `${mapUrl}#${slide}`);
+      clock.setTimeout(() => mapHashListener?.(`#${slide}`), 0);
+    }
+
+    dispatch("scroll");
+  }
+
+  return {
+    nodeSelector,
+    iframe,
+    get docked() {
+      return docked;
+    },
+    get currentSlide() {
+      return currentSlide;
+    },
+    get scrollY() {
+      return window.scrollY;
+    },
+    scrollTo,
+
+    // Returns the scroll position at a progress (0–1) through a slide's narrative panel.
+    // Progress 1 stops just short of the next panel, which would make the next slide current.
+    scrollYAt(slide, progress = 0) {
+      const index = Math.max(0, Math.min(panelHeights.length - 1, slide));
+      const clamped = Math.max(0, Math.min(1, progress));
+      return panelStarts[index] + panelHeights[index] * clamped - (clamped === 1 ? 0.001 : 0);
+    },
+
+    // Registers the simulated map, which receives { data, origin, source } for each message
+    // posted to the iframe, and the new hash (e.g. "#2") whenever the iframe's src fragment changes.
+    connectMap(onMessage, onHashChange = null) {
+      mapListener = onMessage;
+      mapHashListener = onHashChange;
+    },
+
+    uninstall() {
+      Object.entries(previousGlobals).forEach(([name, value]) => {
+        if (value === undefined) {
+          delete globalThis[name];
+        } else {
+          globalThis[name] = value;
+        }
+      });
+    },
+  };
+}
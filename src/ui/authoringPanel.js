@@ -0,0 +1,170 @@
+import { slideAnimation } from "../animators/slideAnimator.js";
+import { TIME_SLIDER_MODES } from "../utils/calendarTime.js";
+import { createButton } from "../utils/dom.js";
+
+const PANEL_ID = "choreography-authoring-panel";
+
+// Spacing between a button and whatever precedes it.
+const BUTTON_STYLE = { marginLeft: "4px" };
+
+// Choreography time modes keyed by time slider mode, to read the mode back from the slider.
+const TIME_MODES = Object.fromEntries(Object.entries(TIME_SLIDER_MODES).map(([mode, sliderMode]) => [sliderMode, mode]));
+
+/**
+ * Records the view, layer visibility and time slider as a choreography slide.
+ * 3D scenes record a camera, 2D maps a viewpoint. Visibility is recorded for every layer,
+ * including those inside group layers; group layers, basemap and ground layers, and layers
+ * hidden from the layer list (such as the route reveal graphics) are left out.
+ * The time slider's current extent is recorded: the slide runs up to the extent's end, from
+ * the extent's start in window mode, or otherwise from the start of the full time extent.
+ */
+export function captureSlide(mapView, timeSlider) {
+  const slide = {};
+
+  if (mapView.type === "3d") {
+    slide.camera = { ...mapView.camera.toJSON(), fov: mapView.camera.fov };
+  } else {
+    // Choreography viewpoints frame an extent, so the visible extent is recorded rather than the center
+    slide.viewpoint = {
+      rotation: mapView.rotation ?? 0,
+      scale: mapView.scale,
+      targetGeometry: mapView.extent.toJSON(),
+    };
+  }
+
+  const map = mapView.map;
+  const excludedLayers = new Set([
+    ...(map.basemap?.baseLayers.toArray() ?? []),
+    ...(map.basemap?.referenceLayers.toArray() ?? []),
+    ...(map.ground?.layers.toArray() ?? []),
+  ]);
+  const layers = map.allLayers.filter((layer) =>
+    layer.type !== "group" && !excludedLayers.has(layer) && layer.listMode !== "hide" && layer.title);
+  slide.layerVisibility = {
+    layersOn: layers.filter((layer) => layer.visible).map((layer) => layer.title).toArray(),
+    layersOff: layers.filter((layer) => !layer.visible).map((layer) => layer.title).toArray(),
+  };
+
+  const timeExtent = timeSlider?.timeExtent;
+  const interval = timeSlider?.stops?.interval;
+  const mode = TIME_MODES[timeSlider?.mode];
+  const start = mode === "window" ? timeExtent?.start : timeSlider?.fullTimeExtent?.start ?? timeExtent?.start;
+  if (start && timeExtent?.end && interval) {
+    slide.timeSlider = {
+      timeSliderStart: start.toISOString(),
+      timeSliderEnd: timeExtent.end.toISOString(),
+      timeSliderUnit: interval.unit,
+      timeSliderStep: interval.value,
+    };
+    if (mode && mode !== "cumulative") {
+      slide.timeSlider.timeSliderMode = mode;
+    }
+  }
+
+  return slide;
+}
+
+// Offers the slides for download as a choreography JSON file.
+function downloadChoreography(slides) {
+  const blob = new Blob([JSON.stringify(slides, null, 2)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = "mapChoreography.json";
+  link.click();
+  // Revoking the URL straight after the click can abort the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Summarises a slide's keys for the slide list, e.g. "viewpoint, layerVisibility, timeSlider".
+const describeSlide = (slide) => Object.keys(slide).join(", ") || "empty";
+
+/**
+ * Shows the authoring panel on top of the map. Starting from a copy of the loaded
+ * choreography, the author navigates the map, toggles layers and sets the time slider,
+ * then captures the state as a new slide. Slides can be moved, removed, previewed
+ * through slideAnimation and exported as a choreography JSON file.
+ * onToggle(expanded) is called whenever the panel is expanded or collapsed, so map
+ * navigation can be unlocked while authoring.
+ */
+export function showAuthoringPanel({ mapView, timeSlider, choreographyData, expanded = true, onToggle = () => {} }) {
+  document.getElementById(PANEL_ID)?.remove();
+  const slides = structuredClone(choreographyData);
+
+  const panel = document.createElement("div");
+  panel.id = PANEL_ID;
+  Object.assign(panel.style, {
+    position: "absolute",
+    top: "15px",
+    right: "15px",
+    width: "300px",
+    maxHeight: "70%",
+    overflowY: "auto",
+    padding: "12px 16px",
+    background: "rgba(255, 255, 255, 0.95)",
+    border: "1px solid #ccc",
+    borderRadius: "4px",
+    font: "13px/1.4 sans-serif",
+    zIndex: 20,
+  });
+
+  const heading = document.createElement("strong");
+  heading.textContent = "Choreography authoring";
+  const toggleButton = createButton("", "", () => setExpanded(!expanded), BUTTON_STYLE);
+  toggleButton.style.float = "right";
+  panel.append(toggleButton, heading);
+
+  const body = document.createElement("div");
+  panel.appendChild(body);
+
+  const list = document.createElement("ol");
+  list.start = 0;
+  Object.assign(list.style, { margin: "8px 0", paddingLeft: "24px" });
+
+  const captureButton = createButton("", "Capture the current map state as a new slide", () => {
+    slides.push(captureSlide(mapView, timeSlider));
+    render();
+  });
+  const exportButton = createButton("Export JSON", "Download the slides as mapChoreography.json", () => downloadChoreography(slides), BUTTON_STYLE);
+  body.append(list, captureButton, exportButton);
+
+  const moveSlide = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= slides.length) return;
+    [slides[index], slides[target]] = [slides[target], slides[index]];
+    render();
+  };
+
+  function render() {
+    list.replaceChildren(...slides.map((slide, index) => {
+      const item = document.createElement("li");
+      item.style.marginBottom = "4px";
+      const summary = document.createElement("span");
+      summary.textContent = describeSlide(slide);
+      item.append(
+        summary,
+        createButton("▶", `Preview slide ${index}`, () => slideAnimation(slide, mapView, timeSlider, false), BUTTON_STYLE),
+        createButton("↑", `Move slide ${index} up`, () => moveSlide(index, -1), BUTTON_STYLE),
+        createButton("↓", `Move slide ${index} down`, () => moveSlide(index, 1), BUTTON_STYLE),
+        createButton("×", `Remove slide ${index}`, () => {
+          slides.splice(index, 1);
+          render();
+        }, BUTTON_STYLE)
+      );
+      return item;
+    }));
+    captureButton.textContent = `Capture slide ${slides.length}`;
+  }
+
+  function setExpanded(value) {
+    expanded = value;
+    body.hidden = !expanded;
+    toggleButton.textContent = expanded ? "–" : "+";
+    toggleButton.title = expanded ? "Collapse authoring panel" : "Expand authoring panel";
+    toggleButton.setAttribute("aria-label", toggleButton.title);
+    onToggle(expanded);
+  }
+
+  render();
+  setExpanded(expanded);
+  document.body.appendChild(panel);
+}
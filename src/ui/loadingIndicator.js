@@ -0,0 +1,32 @@
+const INDICATOR_ID = "map-loading-indicator";
+
+/**
+ * Shows or hides a small "Loading map…" status on top of the map,
+ * announced politely to screen readers.
+ */
+export function setLoadingIndicator(visible) {
+  let indicator = document.getElementById(INDICATOR_ID);
+  if (!visible) {
+    indicator?.remove();
+    return;
+  }
+  if (indicator) return;
+
+  indicator = document.createElement("div");
+  indicator.id = INDICATOR_ID;
+  indicator.setAttribute("role", "status");
+  indicator.textContent = "Loading map…";
+  Object.assign(indicator.style, {
+    position: "absolute",
+    top: "15px",
+    left: "50%",
+    transform: "translateX(-50%)",
+    padding: "6px 12px",
+    background: "rgba(255, 255, 255, 0.95)",
+    border: "1px solid #ccc",
+    borderRadius: "4px",
+    font: "13px/1.4 sans-serif",
+    zIndex: 20,
+  });
+  document.body.appendChild(indicator);
+}
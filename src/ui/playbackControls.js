@@ -0,0 +1,133 @@
+import { createFrameLoop } from "../utils/frameLoop.js";
+import { createButton } from "../utils/dom.js";
+
+const CONTROLS_ID = "choreography-playback-controls";
+
+// Going back within this many milliseconds of a slide's start goes to the previous slide instead.
+const RESTART_THRESHOLD = 1000;
+
+// Spacing between the control buttons.
+const BUTTON_STYLE = { marginRight: "4px" };
+
+/**
+ * Shows play/pause, previous/next and a scrub bar over a playback timeline
+ * (see createPlaybackTimeline). onPosition(position, { playing, seeking }) is called with
+ * the { slide, progress } position whenever it moves: every frame while playing, and on
+ * every seek (scrubbing, previous/next or seek()), which is flagged with seeking.
+ * Returns { seek(slide, progress), pause(), remove() }.
+ */
+export function showPlaybackControls({ timeline, onPosition }) {
+  document.getElementById(CONTROLS_ID)?.remove();
+
+  let time = 0;
+  let playing = false;
+  let lastTimestamp = null;
+
+  const controls = document.createElement("div");
+  controls.id = CONTROLS_ID;
+  controls.setAttribute("role", "group");
+  controls.setAttribute("aria-label", "Choreography playback");
+  Object.assign(controls.style, {
+    position: "absolute",
+    bottom: "30px",
+    left: "15px",
+    display: "flex",
+    alignItems: "center",
+    width: "360px",
+    maxWidth: "calc(100% - 160px)",
+    padding: "6px 10px",
+    background: "rgba(255, 255, 255, 0.95)",
+    border: "1px solid #ccc",
+    borderRadius: "4px",
+    font: "13px/1.4 sans-serif",
+    zIndex: 20,
+  });
+
+  const previousButton = createButton("⏮", "Previous slide", previous, BUTTON_STYLE);
+  const playButton = createButton("", "", () => (playing ? pause() : play()), BUTTON_STYLE);
+  const nextButton = createButton("⏭", "Next slide", next, BUTTON_STYLE);
+
+  const scrubBar = document.createElement("input");
+  scrubBar.type = "range";
+  scrubBar.min = 0;
+  scrubBar.max = timeline.total;
+  scrubBar.step = "any";
+  scrubBar.setAttribute("aria-label", "Playback position");
+  Object.assign(scrubBar.style, { flex: "1", margin: "0 8px" });
+  scrubBar.addEventListener("input", () => setTime(Number(scrubBar.value), true));
+
+  const label = document.createElement("span");
+  Object.assign(label.style, { minWidth: "40px", textAlign: "right" });
+
+  controls.append(previousButton, playButton, nextButton, scrubBar, label);
+
+  const loop = createFrameLoop((timestamp) => {
+    if (!playing) return false;
+    if (lastTimestamp !== null) {
+      setTime(time + timestamp - lastTimestamp, false);
+    }
+    lastTimestamp = timestamp;
+    if (time >= timeline.total) {
+      pause();
+      return false;
+    }
+    return true;
+  });
+
+  // Moves to a time on the timeline, updates the controls and reports the position.
+  function setTime(value, seeking) {
+    time = Math.max(0, Math.min(timeline.total, value));
+    const position = timeline.positionAt(time);
+    scrubBar.value = time;
+    label.textContent = `${position.slide + 1} / ${timeline.slideCount}`;
+    onPosition(position, { playing, seeking });
+  }
+
+  function renderPlayButton() {
+    playButton.textContent = playing ? "⏸" : "▶";
+    playButton.title = playing ? "Pause" : "Play";
+    playButton.setAttribute("aria-label", playButton.title);
+  }
+
+  function play() {
+    // Playing from the end starts over
+    if (time >= timeline.total) setTime(0, true);
+    playing = true;
+    lastTimestamp = null;
+    renderPlayButton();
+    loop.request();
+  }
+
+  function pause() {
+    playing = false;
+    loop.cancel();
+    renderPlayButton();
+    // Report the resting position, so listeners can treat it as final
+    setTime(time, false);
+  }
+
+  function previous() {
+    const { slide } = timeline.positionAt(time);
+    const slideStart = timeline.timeAt(slide);
+    setTime(time - slideStart > RESTART_THRESHOLD ? slideStart : timeline.timeAt(slide - 1), true);
+  }
+
+  function next() {
+    const { slide } = timeline.positionAt(time);
+    setTime(slide + 1 < timeline.slideCount ? timeline.timeAt(slide + 1) : timeline.total, true);
+  }
+
+  renderPlayButton();
+  label.textContent = `1 / ${timeline.slideCount}`;
+  document.body.appendChild(controls);
+
+  return {
+    seek: (slide, progress = 0) => setTime(timeline.timeAt(slide, progress), true),
+    pause: () => playing && pause(),
+    remove: () => {
+      playing = false;
+      loop.cancel();
+      controls.remove();
+    },
+  };
+}
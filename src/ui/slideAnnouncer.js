@@ -0,0 +1,12 @@
+const ANNOUNCER_ID = "slide-announcer";
+
+/**
+ * Announces a slide change to screen readers through the page's aria-live region
+ * (#slide-announcer): "Slide 2 of 5", followed by the slide's description when it has one.
+ */
+export function announceSlide(index, slide, slideCount) {
+  const region = document.getElementById(ANNOUNCER_ID);
+  if (!region) return;
+  const position = `Slide ${index + 1} of ${slideCount}`;
+  region.textContent = slide?.description ? `${position}: ${slide.description}` : position;
+}
@@ -0,0 +1,74 @@
+const OVERLAY_ID = "choreography-validation-overlay";
+
+// Groups report entries by slide index so the overlay can list issues slide by slide.
+function groupBySlide(report) {
+  const groups = new Map();
+  const add = (level) => (issue) => {
+    const key = issue.slide === null ? "Choreography" : `Slide ${issue.slide}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ ...issue, level });
+  };
+  report.errors.forEach(add("error"));
+  report.warnings.forEach(add("warning"));
+  return groups;
+}
+
+/**
+ * Renders the validation report as a dismissible overlay on top of the map.
+ * Replaces any previously rendered overlay and does nothing when the report is clean.
+ */
+export function showValidationOverlay(report) {
+  document.getElementById(OVERLAY_ID)?.remove();
+  if (report.errors.length === 0 && report.warnings.length === 0) return;
+
+  const overlay = document.createElement("div");
+  overlay.id = OVERLAY_ID;
+  Object.assign(overlay.style, {
+    position: "absolute",
+    top: "15px",
+    left: "15px",
+    maxWidth: "420px",
+    maxHeight: "60%",
+    overflowY: "auto",
+    padding: "12px 16px",
+    background: "rgba(255, 255, 255, 0.95)",
+    border: "1px solid #ccc",
+    borderRadius: "4px",
+    font: "13px/1.4 sans-serif",
+    zIndex: 20,
+  });
+
+  const heading = document.createElement("strong");
+  heading.textContent = `Choreography: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`;
+  overlay.appendChild(heading);
+
+  const closeButton = document.createElement("button");
+  closeButton.textContent = "×";
+  closeButton.setAttribute("aria-label", "Dismiss choreography report");
+  Object.assign(closeButton.style, { float: "right", cursor: "pointer", border: "none", background: "none", fontSize: "16px" });
+  closeButton.addEventListener("click", () => overlay.remove());
+  overlay.prepend(closeButton);
+
+  groupBySlide(report).forEach((issues, title) => {
+    const section = document.createElement("div");
+    section.style.marginTop = "8px";
+    const sectionTitle = document.createElement("div");
+    sectionTitle.textContent = title;
+    sectionTitle.style.fontWeight = "bold";
+    section.appendChild(sectionTitle);
+
+    const list = document.createElement("ul");
+    list.style.margin = "4px 0";
+    list.style.paddingLeft = "18px";
+    issues.forEach(({ level, path, message }) => {
+      const item = document.createElement("li");
+      item.style.color = level === "error" ? "#b00020" : "#8a6d00";
+      item.textContent = `${path}: ${message}`;
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    overlay.appendChild(section);
+  });
+
+  document.body.appendChild(overlay);
+}
@@ -0,0 +1,182 @@
+// Calendar-aware time arithmetic for time slider stepping.
+// Milliseconds to hours are fixed lengths; days, weeks, months and years follow the
+// calendar in the slide's time zone (an IANA name such as "America/New_York", UTC by
+// default), so a day across a daylight saving change lasts 23 or 25 hours and
+// January 31 plus one month is the last day of February.
+// A slide's time settings may also choose how the time extent is built around a time:
+//   "cumulative" (from the start of data to the time), "window" (the timeSliderWindow
+//   units leading up to the time) or "instant" (the time alone).
+
+const FIXED_UNIT_MS = {
+  milliseconds: 1,
+  seconds: 1000,
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Average unit lengths, only used to estimate a step count before it is corrected on the calendar.
+const AVERAGE_UNIT_MS = {
+  ...FIXED_UNIT_MS,
+  days: DAY_MS,
+  weeks: 7 * DAY_MS,
+  months: 30.436875 * DAY_MS,
+  years: 365.2425 * DAY_MS,
+};
+
+export const TIME_UNITS = Object.keys(AVERAGE_UNIT_MS);
+
+/**
+ * Time slider modes for each choreography time mode.
+ */
+export const TIME_SLIDER_MODES = {
+  cumulative: "cumulative-from-start",
+  window: "time-window",
+  instant: "instant",
+};
+
+const formatters = new Map();
+
+// Returns a cached formatter giving the wall-clock parts of a time in a time zone.
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Returns true when the time zone is UTC or an IANA name the runtime recognises.
+ */
+export function isValidTimeZone(timeZone) {
+  if (timeZone === "UTC") return true;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Splits a time into its calendar date and time of day (in ms) on the wall clock of the time zone.
+function toWallClock(time, timeZone) {
+  if (timeZone === "UTC") {
+    const date = new Date(time);
+    const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate(), timeOfDay: time - midnight };
+  }
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(new Date(time)).map(({ type, value }) => [type, Number(value)])
+  );
+  const milliseconds = ((time % 1000) + 1000) % 1000;
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    timeOfDay: ((parts.hour * 60 + parts.minute) * 60 + parts.second) * 1000 + milliseconds,
+  };
+}
+
+// The wall-clock reading of a time, expressed as if the wall clock were UTC.
+function wallClockAsUTC(time, timeZone) {
+  const { year, month, day, timeOfDay } = toWallClock(time, timeZone);
+  return Date.UTC(year, month, day) + timeOfDay;
+}
+
+// Converts a wall-clock date and time of day in the time zone back to a time.
+// Date.UTC normalises overflowing months and days. Wall-clock times skipped by a daylight
+// saving change resolve to the moment after the change.
+function fromWallClock({ year, month, day, timeOfDay }, timeZone) {
+  const wall = Date.UTC(year, month, day) + timeOfDay;
+  if (timeZone === "UTC") return wall;
+  let time = wall - (wallClockAsUTC(wall, timeZone) - wall);
+  time = wall - (wallClockAsUTC(time, timeZone) - time);
+  return time;
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Adds a whole number of units to a time.
+function addWholeUnits(time, unit, amount, timeZone) {
+  if (FIXED_UNIT_MS[unit]) return time + amount * FIXED_UNIT_MS[unit];
+
+  const wall = toWallClock(time, timeZone);
+  if (unit === "days" || unit === "weeks") {
+    return fromWallClock({ ...wall, day: wall.day + amount * (unit === "weeks" ? 7 : 1) }, timeZone);
+  }
+
+  // Months and years keep the day of month, clamped to the length of the target month
+  const monthIndex = wall.year * 12 + wall.month + amount * (unit === "years" ? 12 : 1);
+  const year = Math.floor(monthIndex / 12);
+  const month = monthIndex - year * 12;
+  return fromWallClock({ year, month, day: Math.min(wall.day, daysInMonth(year, month)), timeOfDay: wall.timeOfDay }, timeZone);
+}
+
+/**
+ * Adds an amount of a time unit to a time (ms), following the calendar in the time zone.
+ * Fractional amounts of calendar units are interpolated within the unit they fall in.
+ */
+export function addTimeUnits(time, unit, amount, timeZone = "UTC") {
+  const whole = Math.floor(amount);
+  const fraction = amount - whole;
+  const base = addWholeUnits(time, unit, whole, timeZone);
+  if (fraction === 0) return base;
+  return base + (addWholeUnits(time, unit, whole + 1, timeZone) - base) * fraction;
+}
+
+/**
+ * Snaps a time (ms) to the nearest step of the slide's time settings, counted on the
+ * calendar from timeSliderStart, and clamps it within [min, max] (by default the slide's
+ * start and end).
+ */
+export function snapTimeToStep(time, slideTimeData, min, max) {
+  const start = new Date(slideTimeData.timeSliderStart).getTime();
+  const end = new Date(slideTimeData.timeSliderEnd).getTime();
+  const low = min ?? Math.min(start, end);
+  const high = max ?? Math.max(start, end);
+  const clamp = (value) => Math.min(Math.max(value, low), high);
+
+  const unit = slideTimeData.timeSliderUnit;
+  const step = slideTimeData.timeSliderStep;
+  const timeZone = slideTimeData.timeSliderTimeZone ?? "UTC";
+  if (!AVERAGE_UNIT_MS[unit] || !(step > 0)) return clamp(time);
+
+  const stepTime = (count) => addTimeUnits(start, unit, count * step, timeZone);
+
+  // Estimate the step from average unit lengths, then correct it on the calendar
+  let count = Math.floor((time - start) / (step * AVERAGE_UNIT_MS[unit]));
+  while (stepTime(count) > time) count--;
+  while (stepTime(count + 1) <= time) count++;
+
+  const before = stepTime(count);
+  const after = stepTime(count + 1);
+  return clamp(time - before < after - time ? before : after);
+}
+
+/**
+ * Builds the time extent for a time according to the slide's time mode.
+ */
+export function timeExtentAt(time, slideTimeData = {}) {
+  const end = new Date(time);
+  switch (slideTimeData.timeSliderMode) {
+    case "instant":
+      return { start: end, end };
+    case "window": {
+      const windowSize = slideTimeData.timeSliderWindow ?? slideTimeData.timeSliderStep ?? 1;
+      const start = addTimeUnits(end.getTime(), slideTimeData.timeSliderUnit, -windowSize, slideTimeData.timeSliderTimeZone);
+      return { start: new Date(start), end };
+    }
+    default:
+      return { start: null, end };
+  }
+}
@@ -0,0 +1,11 @@
+import { animationConfig } from "../config/animationConfig.js";
+
+/**
+ * Logs to the console in debug mode. debugMode is read on each call, as the configuration
+ * is resolved after the modules importing this load.
+ */
+export function log(...args) {
+  if (animationConfig.debugMode) {
+    console.log(...args);
+  }
+}
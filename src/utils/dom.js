@@ -0,0 +1,27 @@
+/**
+ * Polls the DOM every 100ms until an element matching the selector is found,
+ * then clears the interval and executes the callback with the found element.
+ */
+export function waitForElement(selector, callback) {
+  const interval = setInterval(() => {
+    const element = document.querySelector(selector);
+    if (element) {
+      clearInterval(interval);
+      callback(element);
+    }
+  }, 100);
+}
+
+/**
+ * Creates a button showing label, with title as its tooltip and accessible name, that calls
+ * onClick when clicked. style is merged over the shared button style, e.g. for its spacing.
+ */
+export function createButton(label, title, onClick, style = {}) {
+  const button = document.createElement("button");
+  button.textContent = label;
+  button.title = title;
+  button.setAttribute("aria-label", title);
+  Object.assign(button.style, { cursor: "pointer", font: "inherit", ...style });
+  button.addEventListener("click", onClick);
+  return button;
+}
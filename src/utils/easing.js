@@ -0,0 +1,160 @@
+// Easing curves shared by the scroll animators.
+// A choreography slide can describe its outgoing transition with a "transition" object:
+//   "transition": {
+//     "easing": "ease-in-out",          // default easing for every property
+//     "window": [0.2, 0.8],              // only animate between 20% and 80% of the panel
+//     "viewpoint": { "easing": "ease-out-expo", "path": "geodesic" },
+//     "timeSlider": { "easing": "linear", "window": [0, 1] }
+//   }
+// Easings can be named curves, "cubic-bezier(x1, y1, x2, y2)", "steps(n)"
+// or an array of four cubic-bezier control values.
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Builds a cubic-bezier timing function with the same semantics as CSS:
+ * the curve starts at (0, 0), ends at (1, 1) and is shaped by two control points.
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+  const ax = 3 * x1 - 3 * x2 + 1;
+  const bx = 3 * x2 - 6 * x1;
+  const cx = 3 * x1;
+  const ay = 3 * y1 - 3 * y2 + 1;
+  const by = 3 * y2 - 6 * y1;
+  const cy = 3 * y1;
+
+  const sampleX = (t) => ((ax * t + bx) * t + cx) * t;
+  const sampleY = (t) => ((ay * t + by) * t + cy) * t;
+  const sampleSlopeX = (t) => (3 * ax * t + 2 * bx) * t + cx;
+
+  // Find the curve parameter t for a given x, using Newton's method with a bisection fallback
+  function solveT(x) {
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(t) - x;
+      if (Math.abs(error) < 1e-6) return t;
+      const slope = sampleSlopeX(t);
+      if (Math.abs(slope) < 1e-6) break;
+      t -= error / slope;
+    }
+    let low = 0;
+    let high = 1;
+    t = x;
+    while (high - low > 1e-6) {
+      if (sampleX(t) < x) low = t;
+      else high = t;
+      t = (low + high) / 2;
+    }
+    return t;
+  }
+
+  return (progress) => {
+    if (progress <= 0) return 0;
+    if (progress >= 1) return 1;
+    return sampleY(solveT(progress));
+  };
+}
+
+/**
+ * Builds a stepped timing function that jumps in n equal increments.
+ * With jumpStart the first increment happens at the start of each interval.
+ */
+export function steps(count, jumpStart = false) {
+  return (progress) => {
+    if (progress >= 1) return 1;
+    const step = jumpStart ? Math.ceil(progress * count) : Math.floor(progress * count);
+    return clamp01(step / count);
+  };
+}
+
+export const easings = {
+  "linear": (t) => t,
+  "ease": cubicBezier(0.25, 0.1, 0.25, 1),
+  "ease-in": cubicBezier(0.42, 0, 1, 1),
+  "ease-out": cubicBezier(0, 0, 0.58, 1),
+  "ease-in-out": cubicBezier(0.42, 0, 0.58, 1),
+  "ease-in-cubic": (t) => t * t * t,
+  "ease-out-cubic": (t) => 1 - Math.pow(1 - t, 3),
+  "ease-in-out-cubic": (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  "ease-in-expo": (t) => (t <= 0 ? 0 : Math.pow(2, 10 * t - 10)),
+  "ease-out-expo": (t) => (t >= 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+  "ease-in-out-expo": (t) =>
+    t <= 0 ? 0
+    : t >= 1 ? 1
+    : t < 0.5 ? Math.pow(2, 20 * t - 10) / 2
+    : (2 - Math.pow(2, -20 * t + 10)) / 2,
+  "step-start": steps(1, true),
+  "step-end": steps(1),
+};
+
+const CUBIC_BEZIER_PATTERN = /^cubic-bezier\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^)]+)\)$/;
+const STEPS_PATTERN = /^steps\(\s*(\d+)\s*(?:,\s*(start|end)\s*)?\)$/;
+
+/**
+ * Resolves an easing definition from the choreography into a timing function.
+ * Returns null when the definition is not recognised.
+ */
+export function parseEasing(definition) {
+  if (definition === undefined || definition === null) return easings.linear;
+
+  if (Array.isArray(definition)) {
+    if (definition.length !== 4 || !definition.every(Number.isFinite)) return null;
+    return cubicBezier(...definition);
+  }
+
+  if (typeof definition !== "string") return null;
+  if (easings[definition]) return easings[definition];
+
+  const bezierMatch = definition.match(CUBIC_BEZIER_PATTERN);
+  if (bezierMatch) {
+    const points = bezierMatch.slice(1).map(Number);
+    return points.every(Number.isFinite) ? cubicBezier(...points) : null;
+  }
+
+  const stepsMatch = definition.match(STEPS_PATTERN);
+  if (stepsMatch && Number(stepsMatch[1]) > 0) {
+    return steps(Number(stepsMatch[1]), stepsMatch[2] === "start");
+  }
+
+  return null;
+}
+
+/**
+ * Returns true when the easing definition can be resolved to a timing function.
+ * Cubic-bezier x values must lie within 0–1 to keep the curve a function of progress.
+ */
+export function isValidEasing(definition) {
+  const points = Array.isArray(definition)
+    ? definition
+    : typeof definition === "string" && definition.match(CUBIC_BEZIER_PATTERN)?.slice(1).map(Number);
+  if (points && (points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1)) return false;
+  return parseEasing(definition) !== null;
+}
+
+/**
+ * Looks up the transition settings for a choreography key on a slide,
+ * letting a per-key override replace the slide-wide easing, window and path mode.
+ */
+export function resolveTransition(slide, key) {
+  const transition = slide?.transition || {};
+  const override = (key && transition[key]) || {};
+  return {
+    easing: override.easing ?? transition.easing,
+    window: override.window ?? transition.window ?? [0, 1],
+    path: override.path ?? transition.path ?? "linear",
+  };
+}
+
+/**
+ * Maps raw scroll progress (0–1) through the slide's progress window and easing
+ * for the given choreography key. Outside the window the start or end state is held.
+ */
+export function easeProgress(slide, key, progress) {
+  const { easing, window } = resolveTransition(slide, key);
+  const [windowStart, windowEnd] = window;
+  const windowed = windowEnd > windowStart
+    ? clamp01((progress - windowStart) / (windowEnd - windowStart))
+    : progress >= windowEnd ? 1 : 0;
+  const timingFunction = parseEasing(easing) || easings.linear;
+  return timingFunction(windowed);
+}
@@ -0,0 +1,43 @@
+/**
+ * Creates a follower that eases a value toward the latest target once per frame.
+ * With a smoothing of 0 every target is applied immediately; values closer to 1
+ * trail the target more, covering (1 - smoothing) of the remaining distance each frame.
+ *
+ * blend(current, target, fraction) returns the value part way to the target,
+ * isSettled(current, target) reports when the remaining distance is negligible,
+ * apply(value) pushes the value to the view.
+ */
+export function createFollower({ blend, isSettled, apply, smoothing = 0 }) {
+  let current = null;
+  let target = null;
+
+  // Records the latest target, applying it at once when smoothing is off or nothing has been applied yet.
+  function setTarget(value) {
+    target = value;
+    if (smoothing <= 0 || current === null) {
+      current = value;
+      apply(current);
+    }
+  }
+
+  // Advances one frame toward the target. Returns true while the follower is still moving.
+  function step() {
+    if (current === null || target === null || current === target) return false;
+    if (isSettled(current, target)) {
+      current = target;
+      apply(current);
+      return false;
+    }
+    current = blend(current, target, 1 - smoothing);
+    apply(current);
+    return true;
+  }
+
+  // Forgets the followed value so the next target is applied without smoothing (e.g. after a discrete slide change).
+  function reset() {
+    current = null;
+    target = null;
+  }
+
+  return { setTarget, step, reset };
+}
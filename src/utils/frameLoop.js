@@ -0,0 +1,30 @@
+/**
+ * Creates a render loop that runs onFrame at most once per animation frame.
+ * request() schedules the next frame if one is not already pending; onFrame
+ * returns true to keep the loop running (e.g. while a smoothed value settles).
+ */
+export function createFrameLoop(onFrame) {
+  let frameId = null;
+
+  function tick(timestamp) {
+    frameId = null;
+    if (onFrame(timestamp)) {
+      request();
+    }
+  }
+
+  function request() {
+    if (frameId === null) {
+      frameId = requestAnimationFrame(tick);
+    }
+  }
+
+  function cancel() {
+    if (frameId !== null) {
+      cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+  }
+
+  return { request, cancel };
+}
@@ -0,0 +1,156 @@
+// Geodesic helpers for fly-to viewpoint transitions.
+// Web Mercator and WGS84 coordinates are converted with closed-form math so the
+// common cases need no projection engine; any other spatial reference falls back
+// to the ArcGIS project operator, which is loaded the first time it is needed.
+
+const EARTH_RADIUS = 6378137;
+const WEB_MERCATOR_WKIDS = new Set([102100, 102113, 3857, 900913]);
+const WGS84_WKIDS = new Set([4326]);
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+let projection = null;
+let projectionLoading = null;
+
+const wkidOf = (spatialReference) => spatialReference?.latestWkid ?? spatialReference?.wkid;
+export const isWebMercator = (spatialReference) =>
+  WEB_MERCATOR_WKIDS.has(spatialReference?.wkid) || WEB_MERCATOR_WKIDS.has(spatialReference?.latestWkid);
+export const isWGS84 = (spatialReference) => WGS84_WKIDS.has(wkidOf(spatialReference));
+
+/**
+ * Returns true when both spatial references describe the same coordinate system,
+ * treating the different Web Mercator wkids as equal.
+ */
+export function sameSpatialReference(a, b) {
+  if (isWebMercator(a) && isWebMercator(b)) return true;
+  return wkidOf(a) === wkidOf(b);
+}
+
+/**
+ * Starts loading the ArcGIS project operator for spatial references the closed-form math
+ * cannot handle. Resolves once it is ready.
+ */
+export function loadProjection() {
+  if (!projectionLoading) {
+    projectionLoading = Promise.all([
+      $arcgis.import("@arcgis/core/geometry/operators/projectOperator.js"),
+      $arcgis.import("@arcgis/core/geometry/Point.js"),
+      $arcgis.import("@arcgis/core/geometry/SpatialReference.js"),
+    ])
+      .then(async ([projectOperator, Point, SpatialReference]) => {
+        if (!projectOperator.isLoaded()) await projectOperator.load();
+        projection = { projectOperator, Point, SpatialReference };
+      })
+      .catch((error) => console.error("Failed to load the project operator:", error));
+  }
+  return projectionLoading;
+}
+
+/**
+ * Projects a point { x, y } from one spatial reference to another. Returns null
+ * while the project operator is still loading for uncommon spatial references,
+ * letting callers skip the frame.
+ */
+export function projectPoint(point, fromSpatialReference, toSpatialReference) {
+  if (sameSpatialReference(fromSpatialReference, toSpatialReference)) return { x: point.x, y: point.y };
+
+  const geographic = toGeographic(point, fromSpatialReference);
+  const projected = geographic && fromGeographic(geographic, toSpatialReference);
+  if (projected) return projected;
+
+  if (!projection) {
+    loadProjection();
+    return null;
+  }
+  const { projectOperator, Point, SpatialReference } = projection;
+  const result = projectOperator.execute(
+    new Point({ x: point.x, y: point.y, spatialReference: SpatialReference.fromJSON(fromSpatialReference) }),
+    SpatialReference.fromJSON(toSpatialReference)
+  );
+  return result ? { x: result.x, y: result.y } : null;
+}
+
+// Converts a point in Web Mercator or WGS84 to [longitude, latitude] in degrees.
+function toGeographic({ x, y }, spatialReference) {
+  if (isWGS84(spatialReference)) return [x, y];
+  if (!isWebMercator(spatialReference)) return null;
+  return [toDegrees(x / EARTH_RADIUS), toDegrees(2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2)];
+}
+
+// Converts [longitude, latitude] in degrees to a point in Web Mercator or WGS84.
+function fromGeographic([longitude, latitude], spatialReference) {
+  if (isWGS84(spatialReference)) return { x: longitude, y: latitude };
+  if (!isWebMercator(spatialReference)) return null;
+  const clampedLatitude = Math.max(-85.0511, Math.min(85.0511, latitude));
+  return {
+    x: EARTH_RADIUS * toRadians(longitude),
+    y: EARTH_RADIUS * Math.log(Math.tan(Math.PI / 4 + toRadians(clampedLatitude) / 2)),
+  };
+}
+
+/**
+ * Projects a point to [longitude, latitude], going through the project operator
+ * when needed. Returns null while the operator is still loading.
+ */
+export function pointToGeographic(point, spatialReference) {
+  const geographic = toGeographic(point, spatialReference);
+  if (geographic) return geographic;
+  const projected = projectPoint(point, spatialReference, { wkid: 4326 });
+  return projected && [projected.x, projected.y];
+}
+
+/**
+ * Projects [longitude, latitude] into the given spatial reference, going through
+ * the project operator when needed. Returns null while the operator is still loading.
+ */
+export function geographicToPoint(geographic, spatialReference) {
+  return fromGeographic(geographic, spatialReference)
+    ?? projectPoint({ x: geographic[0], y: geographic[1] }, { wkid: 4326 }, spatialReference);
+}
+
+/**
+ * Returns the angular distance in radians between two [longitude, latitude] points
+ * along the great circle joining them (haversine formula).
+ */
+export function angularDistance([lon1, lat1], [lon2, lat2]) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Returns the [longitude, latitude] point at fraction t (0–1) of the way along the
+ * great circle between two points, using spherical linear interpolation.
+ */
+export function interpolateGreatCircle(from, to, t) {
+  const distance = angularDistance(from, to);
+  if (distance < 1e-9) return [from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t];
+
+  const [lon1, lat1, lon2, lat2] = [...from, ...to].map(toRadians);
+  const a = Math.sin((1 - t) * distance) / Math.sin(distance);
+  const b = Math.sin(t * distance) / Math.sin(distance);
+  const x = a * Math.cos(lat1) * Math.cos(lon1) + b * Math.cos(lat2) * Math.cos(lon2);
+  const y = a * Math.cos(lat1) * Math.sin(lon1) + b * Math.cos(lat2) * Math.sin(lon2);
+  const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+  return [toDegrees(Math.atan2(y, x)), toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y)))];
+}
+
+/**
+ * Returns the map scale at fraction t (0–1) of a "zoom out, then in" flight.
+ * Scale is interpolated geometrically between the two ends, then raised by a bump
+ * that peaks halfway at a scale wide enough to show both ends of a flight of
+ * distanceMeters, given the ground width covered at the start scale (widthPerScale).
+ */
+export function flightScale(fromScale, toScale, distanceMeters, widthPerScale, t) {
+  const baseLog = Math.log(fromScale) + (Math.log(toScale) - Math.log(fromScale)) * t;
+  const midLog = (Math.log(fromScale) + Math.log(toScale)) / 2;
+  const peakScale = widthPerScale > 0 ? (distanceMeters * 1.5) / widthPerScale : 0;
+  const bump = Math.max(0, Math.log(Math.max(peakScale, 1)) - midLog);
+  return Math.exp(baseLog + bump * 4 * t * (1 - t));
+}
+
+/**
+ * Converts an angular distance in radians to meters along the earth's surface.
+ */
+export const radiansToMeters = (radians) => radians * EARTH_RADIUS;
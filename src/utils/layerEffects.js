@@ -0,0 +1,51 @@
+// Helpers for blending layer effects between slides.
+// The choreography describes an effect as filter strengths keyed by function name,
+// e.g. { "blur": 4, "grayscale": 1, "brightness": 0.8 }, which is converted to the
+// CSS-filter-style string accepted by layer.effect ("blur(4px) grayscale(100%) brightness(80%)").
+
+// Formats a fraction as a percentage, rounded to avoid floating point noise in the effect string.
+const percent = (value) => `${Math.round(value * 10000) / 100}%`;
+
+/**
+ * Supported effect functions with their neutral value (no visible effect)
+ * and the unit each strength is written with in the effect string.
+ */
+export const effectFunctions = {
+  "blur": { identity: 0, format: (value) => `${value}px` },
+  "brightness": { identity: 1, format: percent },
+  "contrast": { identity: 1, format: percent },
+  "grayscale": { identity: 0, format: percent },
+  "hue-rotate": { identity: 0, format: (value) => `${value}deg` },
+  "invert": { identity: 0, format: percent },
+  "opacity": { identity: 1, format: percent },
+  "saturate": { identity: 1, format: percent },
+  "sepia": { identity: 0, format: percent },
+};
+
+/**
+ * Blends two effect definitions at the given progress (0–1). A function present
+ * on only one side is blended from or to its neutral value.
+ */
+export function blendEffects(fromEffect = {}, toEffect = {}, progress) {
+  const names = new Set([...Object.keys(fromEffect), ...Object.keys(toEffect)]);
+  const blended = {};
+  names.forEach((name) => {
+    const definition = effectFunctions[name];
+    if (!definition) return;
+    const fromVal = fromEffect[name] ?? definition.identity;
+    const toVal = toEffect[name] ?? definition.identity;
+    blended[name] = fromVal + (toVal - fromVal) * progress;
+  });
+  return blended;
+}
+
+/**
+ * Converts an effect definition to a layer.effect string, dropping functions
+ * at their neutral value. Returns null when no effect remains.
+ */
+export function toEffectString(effect = {}) {
+  const parts = Object.entries(effect)
+    .filter(([name, value]) => effectFunctions[name] && value !== effectFunctions[name].identity)
+    .map(([name, value]) => `${name}(${effectFunctions[name].format(value)})`);
+  return parts.length > 0 ? parts.join(" ") : null;
+}
@@ -0,0 +1,40 @@
+// Finds the layers a choreography names. A layer is named by its id or its title, and is
+// looked up anywhere in the map, including inside group layers. Ids are matched first,
+// so a layer whose title is shared with another can still be picked out by its id.
+// Modules keeping state per layer instance follow layers swapped through replaceLayer.
+
+/**
+ * Returns the layer with the given id or, failing that, the first layer with the given
+ * title, searching every layer in the map (allLayers). Undefined when none matches.
+ */
+export function findLayer(mapView, reference) {
+  const layers = mapView?.map?.allLayers;
+  if (!layers || reference === undefined || reference === null) return undefined;
+  return layers.find((layer) => layer.id === reference) ?? layers.find((layer) => layer.title === reference);
+}
+
+// Listeners told when replaceLayer swaps a layer for another
+const replacementListeners = new Set();
+
+/**
+ * Calls listener(mapView, layer, replacement) whenever replaceLayer swaps a layer for another,
+ * so state kept per layer instance can follow the swap. Returns a function that removes the listener.
+ */
+export function onLayerReplaced(listener) {
+  replacementListeners.add(listener);
+  return () => replacementListeners.delete(listener);
+}
+
+/**
+ * Replaces a layer with another at the same index in its map or group layer. The replacement
+ * keeps the layer's id, so a choreography naming the layer by id still finds it, and the
+ * onLayerReplaced listeners are told of the swap.
+ */
+export function replaceLayer(mapView, layer, replacement) {
+  const container = layer.parent?.layers ? layer.parent : mapView.map;
+  const index = container.layers.indexOf(layer);
+  container.remove(layer);
+  replacement.id = layer.id;
+  container.add(replacement, index);
+  replacementListeners.forEach((listener) => listener(mapView, layer, replacement));
+}
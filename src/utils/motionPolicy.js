@@ -0,0 +1,19 @@
+import { animationConfig } from "../config/animationConfig.js";
+
+// Motion policy: whether the map should avoid animated movement. Follows the reader's
+// prefers-reduced-motion setting unless animationConfig.reducedMotion overrides it.
+// Under reduced motion, camera moves are cuts, scroll progress within a slide is not
+// interpolated (the map cuts to each slide's state at its threshold) and the time
+// slider never plays on its own.
+
+const reducedMotionQuery = typeof matchMedia === "function" ? matchMedia("(prefers-reduced-motion: reduce)") : null;
+
+/**
+ * Returns true when motion should be reduced: animationConfig.reducedMotion when set to
+ * true or false, otherwise ('auto') the reader's current prefers-reduced-motion setting.
+ */
+export function isReducedMotion() {
+  const setting = animationConfig.reducedMotion ?? "auto";
+  if (typeof setting === "boolean") return setting;
+  return reducedMotionQuery?.matches ?? false;
+}
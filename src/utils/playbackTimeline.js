@@ -0,0 +1,51 @@
+// Timeline for standalone playback: lays the slides end to end, each lasting its
+// "duration" (in seconds) or the default, and converts between a time on the
+// timeline and a { slide, progress } position like the ones the scroll listener sends.
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Creates a timeline over the choreography. Times are in milliseconds from the start.
+ */
+export function createPlaybackTimeline(choreographyData, defaultDuration = 5) {
+  const durations = choreographyData.map((slide) => (slide.duration ?? defaultDuration) * 1000);
+  const starts = [];
+  const total = durations.reduce((elapsed, duration) => {
+    starts.push(elapsed);
+    return elapsed + duration;
+  }, 0);
+
+  // Returns the { slide, progress } position at a time, holding the last slide's end past the total.
+  function positionAt(time) {
+    const clamped = clamp(time, 0, total);
+    let slide = starts.length - 1;
+    while (slide > 0 && starts[slide] > clamped) slide--;
+    const progress = durations[slide] > 0 ? (clamped - starts[slide]) / durations[slide] : 1;
+    return { slide, progress: clamp(progress, 0, 1) };
+  }
+
+  // Returns the time of a { slide, progress } position.
+  function timeAt(slide, progress = 0) {
+    const index = clamp(slide, 0, starts.length - 1);
+    return starts[index] + durations[index] * clamp(progress, 0, 1);
+  }
+
+  return { total, slideCount: starts.length, positionAt, timeAt };
+}
+
+/**
+ * Parses a "#slide:progress" deep link (or a plain "#slide") into a position.
+ * Returns null when the hash does not name a slide.
+ */
+export function parsePositionHash(hash) {
+  const match = /^#?(\d+)(?::(\d*\.?\d+))?$/.exec(hash);
+  if (!match) return null;
+  return { slide: Number(match[1]), progress: match[2] === undefined ? null : clamp(Number(match[2]), 0, 1) };
+}
+
+/**
+ * Formats a position as a "#slide:progress" deep link.
+ */
+export function formatPositionHash({ slide, progress }) {
+  return `#${slide}:${Number(progress.toFixed(3))}`;
+}
@@ -0,0 +1,70 @@
+// Route measuring and slicing for progressive line drawing.
+// Routes are measured by geodesic length, so equal scroll distances reveal equal
+// distances on the ground whatever the map projection, but are cut along the
+// straight segments the map draws, so the drawn part stays on the full line.
+
+import { angularDistance, pointToGeographic, radiansToMeters } from "./geodesic.js";
+
+/**
+ * Measures polyline paths (arrays of [x, y] vertices in the given spatial reference)
+ * by geodesic length. Returns { paths: [{ vertices, distances }], length }, where each
+ * path's distances are cumulative meters along the whole route, or null while the
+ * project operator is still loading for an uncommon spatial reference.
+ */
+export function measureRoute(paths, spatialReference) {
+  let length = 0;
+  const measured = [];
+
+  for (const vertices of paths) {
+    if (vertices.length < 2) continue;
+    const geographic = vertices.map(([x, y]) => pointToGeographic({ x, y }, spatialReference));
+    if (geographic.some((point) => !point)) return null;
+
+    const distances = [length];
+    for (let i = 1; i < vertices.length; i++) {
+      length += radiansToMeters(angularDistance(geographic[i - 1], geographic[i]));
+      distances.push(length);
+    }
+    measured.push({ vertices, distances });
+  }
+
+  return { paths: measured, length };
+}
+
+/**
+ * Cuts a measured route at a fraction (0–1) of its length. Returns the paths drawn
+ * so far and the head point { x, y } where drawing stopped (null when nothing is drawn).
+ */
+export function sliceRoute(route, fraction) {
+  const target = Math.max(0, Math.min(1, fraction)) * route.length;
+  const drawn = [];
+  let head = null;
+  if (target <= 0 || route.paths.length === 0) return { paths: drawn, head };
+
+  for (const { vertices, distances } of route.paths) {
+    if (distances[0] >= target) break;
+
+    const path = [vertices[0]];
+    let reachedTarget = false;
+    for (let i = 1; i < vertices.length; i++) {
+      if (distances[i] < target) {
+        path.push(vertices[i]);
+        continue;
+      }
+      const segment = distances[i] - distances[i - 1];
+      const t = segment > 0 ? (target - distances[i - 1]) / segment : 1;
+      const [x1, y1] = vertices[i - 1];
+      const [x2, y2] = vertices[i];
+      path.push([x1 + (x2 - x1) * t, y1 + (y2 - y1) * t]);
+      reachedTarget = true;
+      break;
+    }
+
+    drawn.push(path);
+    const [x, y] = path[path.length - 1];
+    head = { x, y };
+    if (reachedTarget) break;
+  }
+
+  return { paths: drawn, head };
+}
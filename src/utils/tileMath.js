@@ -0,0 +1,41 @@
+// Tile arithmetic for prefetching: finds the tiles of a tiling scheme that cover an extent.
+// Works on plain tile info ({ rows, cols, origin: { x, y }, lods: [{ level, resolution }] }),
+// as found on tiled layers, with the extent in the tiling scheme's spatial reference.
+
+/**
+ * Returns the level of detail whose resolution is nearest to the resolution, in log scale.
+ */
+export function nearestLod(tileInfo, resolution) {
+  return tileInfo.lods.reduce((nearest, lod) =>
+    Math.abs(Math.log(lod.resolution / resolution)) < Math.abs(Math.log(nearest.resolution / resolution)) ? lod : nearest
+  );
+}
+
+/**
+ * Returns the { level, row, col } of every tile covering the extent at the level of detail
+ * nearest the resolution. Beyond maxTiles, only the tiles nearest the extent's center are kept.
+ */
+export function tilesCovering(tileInfo, extent, resolution, maxTiles = 64) {
+  const lod = nearestLod(tileInfo, resolution);
+  const tileWidth = tileInfo.cols * lod.resolution;
+  const tileHeight = tileInfo.rows * lod.resolution;
+  const colOf = (x) => Math.floor((x - tileInfo.origin.x) / tileWidth);
+  const rowOf = (y) => Math.floor((tileInfo.origin.y - y) / tileHeight);
+
+  const minCol = Math.max(0, colOf(extent.xmin));
+  const maxCol = colOf(extent.xmax);
+  const minRow = Math.max(0, rowOf(extent.ymax));
+  const maxRow = rowOf(extent.ymin);
+  const centerCol = (minCol + maxCol) / 2;
+  const centerRow = (minRow + maxRow) / 2;
+
+  const tiles = [];
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      tiles.push({ level: lod.level, row, col });
+    }
+  }
+  if (tiles.length <= maxTiles) return tiles;
+  const distance = ({ row, col }) => Math.hypot(row - centerRow, col - centerCol);
+  return tiles.sort((a, b) => distance(a) - distance(b)).slice(0, maxTiles);
+}
@@ -0,0 +1,363 @@
+import { choreographySchema } from "../config/choreographySchema.js";
+import { isValidEasing } from "../utils/easing.js";
+import { isValidTimeZone } from "../utils/calendarTime.js";
+import { getChoreographyHandler, getChoreographyHandlers } from "../animators/choreographyRegistry.js";
+import { findLayer } from "../utils/layerLookup.js";
+
+// Custom "format" checks, each returning an error message or null when the value is valid.
+const formats = {
+  "date-time": (value) => (isNaN(new Date(value).getTime()) ? `"${value}" is not a valid date-time.` : null),
+  "easing": (value) => (isValidEasing(value) ? null : `${JSON.stringify(value)} is not a recognised easing.`),
+  "time-zone": (value) => (isValidTimeZone(value) ? null : `"${value}" is not a recognised time zone.`),
+  "progress-window": (value) =>
+    value.length === 2 && value[0] < value[1] ? null : "Expected [start, end] with start less than end.",
+};
+
+/**
+ * Creates an empty validation report. Errors describe choreography that a handler
+ * cannot apply; warnings describe choreography that will likely not do what was intended.
+ */
+export function createValidationReport() {
+  return { errors: [], warnings: [] };
+}
+
+// Adds an issue to the report, tagging it with the slide index taken from the path.
+function addIssue(report, level, path, message) {
+  const slide = typeof path[0] === "number" ? path[0] : null;
+  const entry = { slide, path: formatPath(path), message };
+  (level === "error" ? report.errors : report.warnings).push(entry);
+}
+
+// Formats a path array such as [1, "viewpoint", "scale"] as "[1].viewpoint.scale".
+function formatPath(path) {
+  return path
+    .map((segment) => (typeof segment === "number" ? `[${segment}]` : `.${segment}`))
+    .join("")
+    .replace(/^\./, "");
+}
+
+// Returns the JSON type name of a value, distinguishing arrays, null and integers.
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+// Checks a value against a schema type, or any of a list of types.
+function matchesType(value, expected) {
+  if (Array.isArray(expected)) return expected.some((type) => matchesType(value, type));
+  const actual = typeOf(value);
+  return actual === expected || (expected === "number" && actual === "integer");
+}
+
+/**
+ * Recursively checks a value against a schema node, adding an issue for every
+ * mismatch found. Only the subset of JSON Schema used by choreographySchema is supported.
+ */
+function validateNode(value, schema, path, report) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    addIssue(report, "error", path, `Expected ${[schema.type].flat().join(" or ")} but found ${typeOf(value)}.`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    addIssue(report, "error", path, `"${value}" is not one of: ${schema.enum.join(", ")}.`);
+  }
+
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) {
+      addIssue(report, "error", path, "Expected a finite number.");
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      addIssue(report, "error", path, `Must be at least ${schema.minimum}.`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      addIssue(report, "error", path, `Must be at most ${schema.maximum}.`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      addIssue(report, "error", path, `Must be greater than ${schema.exclusiveMinimum}.`);
+    }
+  }
+
+  const formatError = schema.format && formats[schema.format]?.(value);
+  if (formatError) {
+    addIssue(report, "error", path, formatError);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      addIssue(report, "error", path, `Expected at least ${schema.minItems} item(s).`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, [...path, index], report));
+    }
+    return;
+  }
+
+  if (typeOf(value) === "object") {
+    (schema.required || [])
+      .filter((key) => value[key] === undefined)
+      .forEach((key) => addIssue(report, "error", [...path, key], "Missing required property."));
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        validateNode(child, childSchema, [...path, key], report);
+      } else if (typeOf(schema.additionalProperties) === "object") {
+        validateNode(child, schema.additionalProperties, [...path, key], report);
+      } else if (schema.additionalProperties === false) {
+        addIssue(report, "warning", [...path, key], "Unknown property will be ignored.");
+      }
+    });
+  }
+}
+
+/**
+ * Checks any value against a schema written in the same subset, such as
+ * animationConfigSchema, returning a report of errors and warnings.
+ */
+export function validateAgainstSchema(value, schema) {
+  const report = createValidationReport();
+  validateNode(value, schema, [], report);
+  return report;
+}
+
+/**
+ * Checks relationships between keys of the same slide that a schema cannot express,
+ * such as a time range running backwards or a track renderer without a time interval.
+ * Time slider settings carry over from earlier slides, as the state reconciler folds them.
+ */
+function validateSlideSemantics(slide, index, choreographyData, report) {
+  if (typeOf(slide) !== "object") return;
+  const choreographyLength = choreographyData.length;
+
+  const time = slide.timeSlider;
+  if (time && new Date(time.timeSliderStart) > new Date(time.timeSliderEnd)) {
+    addIssue(report, "error", [index, "timeSlider"], "timeSliderStart is after timeSliderEnd.");
+  }
+
+  if (time?.timeSliderWindow !== undefined && time.timeSliderMode !== "window") {
+    addIssue(report, "warning", [index, "timeSlider", "timeSliderWindow"], "timeSliderWindow only applies when timeSliderMode is \"window\".");
+  }
+
+  if (time?.timeSliderToNext && index === choreographyLength - 1) {
+    addIssue(report, "warning", [index, "timeSlider", "timeSliderToNext"], "The last slide has no next slide to interpolate toward.");
+  }
+
+  const trackRenderers = [slide.trackRenderer].flat().filter(Boolean);
+  const hasTimeSlider = choreographyData.slice(0, index + 1).some((earlier) => typeOf(earlier) === "object" && earlier.timeSlider);
+  trackRenderers.forEach((trackRenderer, i) => {
+    if (!trackRenderer.timeInterval && !hasTimeSlider) {
+      const path = Array.isArray(slide.trackRenderer) ? [index, "trackRenderer", i] : [index, "trackRenderer"];
+      addIssue(report, "error", path, "trackRenderer requires a timeInterval or a timeSlider on this or an earlier slide to set its interval.");
+    }
+  });
+  const trackLayerNames = trackRenderers.map((trackRenderer) => trackRenderer.trackLayerName);
+  trackLayerNames
+    .filter((name, i) => trackLayerNames.indexOf(name) !== i)
+    .forEach((name) => addIssue(report, "warning", [index, "trackRenderer"], `"${name}" has more than one track renderer; the last one wins.`));
+
+  if (slide.viewpoint && slide.camera) {
+    addIssue(report, "warning", [index], "Both viewpoint and camera are set; the view will be moved twice.");
+  }
+
+  const geometry = slide.viewpoint?.targetGeometry;
+  if (geometry && (geometry.xmin > geometry.xmax || geometry.ymin > geometry.ymax)) {
+    addIssue(report, "error", [index, "viewpoint", "targetGeometry"], "Extent minimum is greater than its maximum.");
+  }
+
+  if (Array.isArray(slide.keyframes)) {
+    slide.keyframes.forEach((keyframe, i) => {
+      const previous = slide.keyframes[i - 1];
+      if (previous && keyframe?.progress < previous?.progress) {
+        addIssue(report, "error", [index, "keyframes", i, "progress"], "Keyframes must be ordered by ascending progress.");
+      }
+    });
+  }
+
+  Object.entries(slide.featureNavigation?.targets || {}).forEach(([value, target]) => {
+    if (Number.isInteger(target) && target >= choreographyLength) {
+      addIssue(report, "error", [index, "featureNavigation", "targets", value], `Target slide ${target} does not exist.`);
+    }
+  });
+
+  if (slide.followTrack && (slide.viewpoint || slide.camera || slide.routeReveal?.follow)) {
+    addIssue(report, "warning", [index, "followTrack"], "Following a track overrides the slide's viewpoint, camera and route following.");
+  }
+
+  if (slide.routeReveal?.follow && (slide.viewpoint || slide.camera)) {
+    addIssue(report, "warning", [index, "routeReveal", "follow"], "Following the route overrides the slide's viewpoint and camera transition.");
+  }
+
+  const visibility = slide.layerVisibility;
+  if (Array.isArray(visibility?.layersOn) && Array.isArray(visibility?.layersOff)) {
+    visibility.layersOn
+      .filter((title) => visibility.layersOff.includes(title))
+      .forEach((title) => addIssue(report, "warning", [index, "layerVisibility"], `"${title}" is listed in both layersOn and layersOff.`));
+  }
+}
+
+// Extends the choreography schema so keys with a registered handler are not reported as unknown.
+// Their values are checked by the handler's own validate function instead.
+function withRegisteredKeys(schema) {
+  const properties = { ...schema.items.properties };
+  getChoreographyHandlers().forEach(([key]) => (properties[key] ??= {}));
+  return { ...schema, items: { ...schema.items, properties } };
+}
+
+/**
+ * Runs the validate function of each registered handler whose key the slide uses.
+ * A validate function returns an error message, a list of them, or nothing when the value is valid.
+ */
+function validateRegisteredKeys(slide, index, choreographyData, report) {
+  if (typeOf(slide) !== "object") return;
+
+  Object.entries(slide).forEach(([key, value]) => {
+    const validate = getChoreographyHandler(key)?.validate;
+    if (typeof validate !== "function") return;
+    try {
+      [validate(value, { slide, index, choreography: choreographyData }) ?? []]
+        .flat()
+        .filter(Boolean)
+        .forEach((message) => addIssue(report, "error", [index, key], message));
+    } catch (error) {
+      addIssue(report, "error", [index, key], `Validation failed: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Validates parsed choreography data against the choreography schema,
+ * slide-level rules and the validate functions of registered handlers,
+ * returning a report of errors and warnings.
+ */
+export function validateChoreography(choreographyData) {
+  const report = createValidationReport();
+  validateNode(choreographyData, withRegisteredKeys(choreographySchema), [], report);
+  if (Array.isArray(choreographyData)) {
+    choreographyData.forEach((slide, index) => {
+      validateSlideSemantics(slide, index, choreographyData, report);
+      validateRegisteredKeys(slide, index, choreographyData, report);
+    });
+  }
+  return report;
+}
+
+/**
+ * Cross-checks choreography data against the loaded web map, warning about layer
+ * ids or titles that match no layer and track fields missing from their layer.
+ * Adds issues to the given report and returns it.
+ */
+export async function crossCheckChoreography(choreographyData, mapView, report = createValidationReport()) {
+  if (!Array.isArray(choreographyData) || !mapView?.map) return report;
+
+  const checkLayerTitle = (title, path) => {
+    if (findLayer(mapView, title)) return true;
+    addIssue(report, "warning", path, `Layer "${title}" was not found in the web map.`);
+    return false;
+  };
+
+  for (const [index, slide] of choreographyData.entries()) {
+    const visibility = slide?.layerVisibility;
+    ["layersOn", "layersOff"].forEach((listKey) => {
+      const titles = visibility?.[listKey];
+      if (!Array.isArray(titles)) return;
+      titles.forEach((title, i) => checkLayerTitle(title, [index, "layerVisibility", listKey, i]));
+    });
+
+    ["layerOpacity", "layerEffect", "layerFilter"].forEach((key) => {
+      Object.keys(typeOf(slide?.[key]) === "object" ? slide[key] : {}).forEach((title) =>
+        checkLayerTitle(title, [index, key, title])
+      );
+    });
+
+    (Array.isArray(slide?.keyframes) ? slide.keyframes : []).forEach((keyframe, i) => {
+      Object.keys(keyframe?.layerOpacity || {}).forEach((title) =>
+        checkLayerTitle(title, [index, "keyframes", i, "layerOpacity", title])
+      );
+    });
+
+    const navigation = slide?.featureNavigation;
+    if (navigation?.layerTitle) {
+      checkLayerTitle(navigation.layerTitle, [index, "featureNavigation", "layerTitle"]);
+    }
+
+    const highlights = [slide?.featureHighlight].flat();
+    highlights.forEach((highlight, i) => {
+      if (!highlight?.layerTitle) return;
+      const path = Array.isArray(slide.featureHighlight) ? [index, "featureHighlight", i] : [index, "featureHighlight"];
+      checkLayerTitle(highlight.layerTitle, [...path, "layerTitle"]);
+    });
+
+    const route = slide?.routeReveal;
+    if (route?.layerTitle) {
+      const routeLayer = findLayer(mapView, route.layerTitle);
+      if (!routeLayer) {
+        addIssue(report, "warning", [index, "routeReveal", "layerTitle"], `Layer "${route.layerTitle}" was not found in the web map.`);
+      } else {
+        try {
+          await routeLayer.load?.();
+          if (routeLayer.geometryType && routeLayer.geometryType !== "polyline") {
+            addIssue(report, "error", [index, "routeReveal", "layerTitle"], `Layer "${route.layerTitle}" has ${routeLayer.geometryType} features; routeReveal needs a line layer.`);
+          }
+        } catch (error) {
+          addIssue(report, "warning", [index, "routeReveal", "layerTitle"], `Layer "${route.layerTitle}" failed to load: ${error.message}`);
+        }
+      }
+    }
+
+    const follow = slide?.followTrack;
+    if (follow?.layerTitle) {
+      const followLayer = findLayer(mapView, follow.layerTitle);
+      if (!followLayer) {
+        addIssue(report, "warning", [index, "followTrack", "layerTitle"], `Layer "${follow.layerTitle}" was not found in the web map.`);
+      } else {
+        try {
+          await followLayer.load?.();
+          if (!followLayer.timeInfo) {
+            addIssue(report, "warning", [index, "followTrack", "layerTitle"], `Layer "${follow.layerTitle}" is not time-aware.`);
+          }
+          if (followLayer.fields && !followLayer.fields.some((field) => field.name === follow.trackField)) {
+            addIssue(report, "warning", [index, "followTrack", "trackField"], `Field "${follow.trackField}" does not exist on layer "${follow.layerTitle}".`);
+          }
+        } catch (error) {
+          addIssue(report, "warning", [index, "followTrack", "layerTitle"], `Layer "${follow.layerTitle}" failed to load: ${error.message}`);
+        }
+      }
+    }
+
+    const trackRenderers = [slide?.trackRenderer].flat();
+    for (const [i, track] of trackRenderers.entries()) {
+      if (!track?.trackLayerName) continue;
+      const path = Array.isArray(slide.trackRenderer) ? [index, "trackRenderer", i] : [index, "trackRenderer"];
+      if (!checkLayerTitle(track.trackLayerName, [...path, "trackLayerName"])) continue;
+
+      const trackLayer = findLayer(mapView, track.trackLayerName);
+      try {
+        await trackLayer.load();
+      } catch (error) {
+        addIssue(report, "warning", path, `Layer "${track.trackLayerName}" failed to load: ${error.message}`);
+        continue;
+      }
+      if (!trackLayer.timeInfo) {
+        addIssue(report, "warning", path, `Layer "${track.trackLayerName}" is not time-aware.`);
+      }
+      if (track.trackFieldName && trackLayer.fields && !trackLayer.fields.some((field) => field.name === track.trackFieldName)) {
+        addIssue(report, "warning", [...path, "trackFieldName"], `Field "${track.trackFieldName}" does not exist on layer "${track.trackLayerName}".`);
+      }
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Writes every issue in the report to the console, grouped by severity.
+ * Returns true when the report contains no errors.
+ */
+export function logValidationReport(report) {
+  report.errors.forEach(({ path, message }) => console.error(`Choreography error at ${path || "(root)"}: ${message}`));
+  report.warnings.forEach(({ path, message }) => console.warn(`Choreography warning at ${path || "(root)"}: ${message}`));
+  return report.errors.length === 0;
+}